@@ -0,0 +1,67 @@
+import { STAGES, EXTENSIBLE_STAGES } from "./pipeline.mjs";
+import { AutoWallsApplication, BatchAutoWallsApplication } from "./controls.mjs";
+import { getSceneSettings } from "./settings.mjs";
+import {
+  sceneToWalls,
+  batchSceneToWalls,
+  applyWalls,
+  combineSceneWalls,
+  restorePreviousWalls,
+  registerStage,
+  unregisterStage,
+  PipelineCancelledError,
+} from "./wall-layer.mjs";
+
+/**
+ * Detect the walls in a scene without opening the dialog. Each call runs on its own, alongside any others and the
+ * dialog; pass an AbortSignal as options.signal to be able to cancel it.
+ * @param {Scene} scene
+ * @param {Object} [options] - sceneToWalls options, on top of the settings last used on the scene
+ * @param {AbortSignal} [options.signal] - cancels the call when aborted, rejecting with a PipelineCancelledError
+ * @returns {Promise<Object[]>} wall data, ready to be passed to applyWalls
+ */
+async function detectWalls(scene, options = {}) {
+  return sceneToWalls(scene, { ...getSceneSettings(scene), ...options });
+}
+
+/**
+ * Detect and apply the walls in many scenes without opening the dialog (see batchSceneToWalls)
+ * @param {Scene[]} scenes
+ * @param {Object} [options] - batchSceneToWalls options; each scene's last settings are used unless settingsFor is given
+ * @returns {Promise<Object[]>} what happened on each scene
+ */
+async function batchDetectWalls(scenes, options = {}) {
+  return batchSceneToWalls(scenes, { settingsFor: (scene)=>getSceneSettings(scene), ...options });
+}
+
+/**
+ * The module's public API, available as game.modules.get("auto-detect-walls").api to every user. Detecting walls works
+ * for anyone, but applying, minimizing and restoring them throw unless the user is a GM.
+ *
+ * Extra stages of the image analysis are added with registerStage (see PIPELINE_STAGES for where they can go).
+ *
+ * Hooks:
+ *  - "autoDetectWalls.postDetect" (scene, walls, options): after walls are detected; change the walls in place
+ *  - "autoDetectWalls.preApply" (scene, walls, options): before walls are created; change the walls in place, or
+ *    return false to cancel
+ */
+export const api = {
+  detectWalls,
+  batchDetectWalls,
+  applyWalls,
+  minimizeWalls: combineSceneWalls,
+  restorePreviousWalls,
+  registerStage,
+  unregisterStage,
+  // the names of the stages of the image analysis, in order, as reported to onProgress
+  PROGRESS_STAGES: STAGES,
+  // the stages that registerStage can add stages before, after or instead of
+  PIPELINE_STAGES: EXTENSIBLE_STAGES,
+  PipelineCancelledError,
+  AutoWallsApplication,
+  BatchAutoWallsApplication,
+};
+
+export function register() {
+  game.modules.get("auto-detect-walls").api = api;
+}
@@ -1,7 +1,48 @@
 
-import { sceneToWalls, combineSceneWalls } from "./wall-layer.mjs";
+import { randomSeed } from "./image-processing/random.mjs";
+import { drawRegion, drawingToPolygon } from "./region.mjs";
+import { PreviewEditor } from "./preview-editor.mjs";
+import { clusterRole } from "./pipeline.mjs";
+import {
+  BATCH_PRESETS,
+  DETECTION_CHOICES,
+  getSceneSettings,
+  saveSceneSettings,
+  getPresets,
+  savePreset,
+  deletePreset,
+  exportPreset,
+  importPresets,
+} from "./settings.mjs";
+import {
+  sceneToWalls,
+  batchSceneToWalls,
+  combineSceneWalls,
+  planMinimizeWalls,
+  PipelineCancelledError,
+  applyWalls,
+  latestSnapshot,
+  restorePreviousWalls,
+} from "./wall-layer.mjs";
 
-class AutoWallsApplication extends foundry.applications.api.HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
+const STAGE_LABELS = {
+  load: "Loading images",
+  tune: "Choosing clusters",
+  segment: "Segmenting colors",
+  despeckle: "Removing specks",
+  separate: "Separating inside from outside",
+  place: "Placing walls on the wall art",
+  pixelize: "Snapping to grid",
+  trace: "Tracing outlines",
+  edges: "Detecting edges",
+  internalWalls: "Detecting internal walls",
+  identify: "Identifying walls",
+  doors: "Detecting doors",
+  terrain: "Detecting terrain",
+  preview: "Drawing preview",
+};
+
+export class AutoWallsApplication extends foundry.applications.api.HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
   static DEFAULT_OPTIONS = foundry.utils.mergeObject(
     super.DEFAULT_OPTIONS,
     {
@@ -25,14 +66,59 @@ class AutoWallsApplication extends foundry.applications.api.HandlebarsApplicatio
       dragDrop: [],
       actions: {
         "generate": AutoWallsApplication.generate,
+        "reroll": async function () {
+          this.settings.seed = randomSeed();
+          const input = this.element?.querySelector("input[name=seed]");
+          if (input) input.value = this.settings.seed;
+          AutoWallsApplication.generate.bind(this)();
+        },
+        "cycleCluster": async function (event, target) {
+          // Auto, then outside, then inside
+          const cycle = { auto: "solid", solid: "floor" };
+          const index = Number(target.dataset.index);
+          const role = clusterRole(this.palette[index], this.settings.clusterRoles);
+          this._setClusterRoles({ [index]: cycle[role] ?? "auto" });
+          await this.render();
+        },
+        "drawRectangle": async function () {
+          await AutoWallsApplication.pickRegion.bind(this)("rectangle");
+        },
+        "drawPolygon": async function () {
+          await AutoWallsApplication.pickRegion.bind(this)("polygon");
+        },
+        "savePreset": async function () {
+          const name = await promptPresetName(getPresets()[this.preset]?.name ?? "");
+          if (!name) return;
+          this.preset = await savePreset(name, this.settings);
+          ui.notifications.info(`Saved the preset "${name}"`);
+          await this.render();
+        },
+        "deletePreset": async function () {
+          const preset = getPresets()[this.preset];
+          if (!preset) return;
+          const confirmed = await foundry.applications.api.DialogV2.confirm({
+            window: { title: "Delete Preset" },
+            content: `<p>Delete the preset "${Handlebars.escapeExpression(preset.name)}" for everyone in this world?</p>`,
+          });
+          if (!confirmed) return;
+          await deletePreset(this.preset);
+          this.preset = "";
+          await this.render();
+        },
+        "exportPreset": function () {
+          exportPreset(this.preset);
+        },
+        "importPreset": async function () {
+          const ids = await importPresetsDialog();
+          if (!ids?.length) return;
+          this.preset = ids[0];
+          Object.assign(this.settings, foundry.utils.deepClone(getPresets()[this.preset].settings));
+          await this.render();
+        },
         "apply": async function () {
           if (!this.walls) return ui.notifications.error("No walls generated yet");
-          const autoWalls = this.scene.walls.filter(w=>w.flags["auto-detect-walls"]?.auto);
-          if (autoWalls.length > 0) await this.scene.deleteEmbeddedDocuments("Wall", autoWalls.map(w=>w.id));
-          await this.scene.createEmbeddedDocuments("Wall", this.walls.map((w)=>({
-              c: w,
-              flags: { "auto-detect-walls": { auto: true } }
-          })));
+          // only replace the auto walls inside the region, if there is one
+          await applyWalls(this.scene, this.walls, { region: this._regionPolygon(), seed: this.settings.seed });
           await this.close(true);
         },
       },
@@ -51,48 +137,507 @@ class AutoWallsApplication extends foundry.applications.api.HandlebarsApplicatio
     super(options);
     this.scene = scene;
     this.walls = null;
+    this.editor = new PreviewEditor();
+    this.editor.onPick = this._onPickCluster.bind(this);
+    // the color of each cluster found by the last run, and which cluster each pixel belongs to
+    this.palette = [];
+    this.clusters = null;
 
-    this.k = 3; // default k for k-means clustering
-    this.threshold = 32;
-    this.internalWalls = false; // default to not generating internal walls
+    // the sceneToWalls options, remembered per scene
+    this.settings = getSceneSettings(scene);
+    // the id of the named preset last loaded or saved, if any
+    this.preset = "";
+    // cancels the run in progress
+    this.abortController = null;
+    // "scene" for the whole scene, "custom" for a drawn region, or the id of a Drawing
+    this.region = "scene";
+    this.customRegion = null;
   }
 
   _onFirstRender(context, options) {
     AutoWallsApplication.generate.bind(this)();
   }
 
+  _onRender(context, options) {
+    this.editor.attach(this.element?.querySelector("canvas#preview") ?? null);
+  }
+
   async _prepareContext(options) {
     const context = await super._prepareContext(options);
-    context.k = this.k;
-    context.threshold = this.threshold;
-    context.internalWalls = this.internalWalls;
+    Object.assign(context, this.settings, DETECTION_CHOICES);
+    context.tileOptions = {
+      none: "Background Only",
+      visible: "Background and Visible Tiles",
+      selected: "Background and Selected Tiles",
+    };
+    context.preset = this.preset;
+    context.presetOptions = {
+      "": "Custom",
+      ...Object.fromEntries(Object.entries(getPresets()).map(([id, { name }])=>[id, name])),
+    };
+    context.editTool = this.editor.tool;
+    context.editTools = {
+      remove: "Remove Walls",
+      add: "Add Walls",
+      door: "Toggle Doors",
+      outside: "Mark Outside",
+      inside: "Mark Inside",
+    };
+    context.palette = this.palette.map((color, index)=>({
+      index,
+      color: `rgb(${color.join(", ")})`,
+      role: clusterRole(color, this.settings.clusterRoles),
+    }));
+    context.region = this.region;
+    context.regionOptions = {
+      scene: "Whole Scene",
+      ...(this.customRegion ? { custom: "Drawn Region" } : {}),
+      ...Object.fromEntries(this.scene.drawings.map(d=>[d.id, `Drawing: ${d.text || d.id}`])),
+    };
     return context;
   }
 
+  async close(options) {
+    this.abortController?.abort();
+    this.editor.destroy();
+    return super.close(options);
+  }
+
   static async generate() {
-    const canvas = this.element?.getElementsByTagName("canvas")?.[0] ?? null;
     this.walls = null;
+    this.editor.clear();
+    // generating doesn't need to wait for the settings to be saved, but a failure to save them should be seen
+    saveSceneSettings(this.scene, this.settings).catch((error)=>{
+      console.error(error);
+      ui.notifications.error("Couldn't save the settings on the scene");
+    });
+    // starting a new run cancels the one in progress
+    this.abortController?.abort();
+    this.abortController = new AbortController();
     sceneToWalls(this.scene, {
-      canvas,
-      k: this.k,
-      threshold: this.threshold,
-      internalWalls: this.internalWalls,
+      ...this.settings,
+      signal: this.abortController.signal,
+      region: this._regionPolygon(),
+      onProgress: this._onProgress.bind(this),
+      onAnalysis: ({ palette, clusters, tuned })=>{
+        this.palette = palette;
+        this.clusters = clusters;
+        // show the chosen values in the form
+        if (tuned) Object.assign(this.settings, tuned);
+        this.render();
+      },
+      // the editor edits the walls in place, so Apply commits the edited set
+      onPreview: (preview, frame, walls)=>this.editor.setResult(preview, frame, walls),
     }).then((walls)=>{
       this.walls = walls;
-    }).catch(()=>{
+      this._onProgress(null);
+    }).catch((error)=>{
+      if (error instanceof PipelineCancelledError) return;
+      this._onProgress(null);
+      console.error(error);
       ui.notifications.error("Error generating walls");
     });
   }
 
+  /**
+   * Minimize the window, let the user draw a region on the canvas, then regenerate the walls for that region
+   * @param {string} shape - "rectangle" or "polygon"
+   */
+  static async pickRegion(shape) {
+    if (canvas.scene !== this.scene) return ui.notifications.error("The scene must be viewed to draw a region on it");
+    await this.minimize();
+    ui.notifications.info(shape === "rectangle"
+      ? "Drag to draw a rectangle. Right click or press Escape to cancel."
+      : "Click to place each point, and double click to finish. Right click or press Escape to cancel.");
+    const points = await drawRegion(shape);
+    await this.maximize();
+    if (!points) return;
+    this.customRegion = points;
+    this.region = "custom";
+    await this.render();
+    AutoWallsApplication.generate.bind(this)();
+  }
+
+  /**
+   * The region of interest, as a polygon in scene coordinates
+   * @returns {Array<number>|null} null if the whole scene should be used
+   */
+  _regionPolygon() {
+    if (this.region === "scene") return null;
+    if (this.region === "custom") return this.customRegion;
+    const drawing = this.scene.drawings.get(this.region);
+    return drawing ? drawingToPolygon(drawing) : null;
+  }
+
+  /**
+   * Change the roles of some of the clusters of the last run. Roles are remembered by color, so that they still apply
+   * when the clusters shift a little.
+   * @param {Object<number, string>} roles - the new role of each cluster to change, by index in the palette
+   */
+  _setClusterRoles(roles) {
+    this.settings.clusterRoles = this.palette
+      .map((color, index)=>({ color, role: roles[index] ?? clusterRole(color, this.settings.clusterRoles) }))
+      .filter(r=>r.role !== "auto");
+  }
+
+  /**
+   * Mark the cluster under a point of the preview as outside or inside
+   * @param {Array<number>} point - [x, y] in scene coordinates
+   * @param {string} tool - "outside" or "inside"
+   */
+  _onPickCluster([x, y], tool) {
+    const { frame } = this.editor;
+    if (!this.clusters || !frame) return;
+    const { data, width, height } = this.clusters;
+    const ix = Math.floor((x - frame.x) / frame.width * width);
+    const iy = Math.floor((y - frame.y) / frame.height * height);
+    if (ix < 0 || iy < 0 || ix >= width || iy >= height) return;
+    const index = data[iy * width + ix];
+    if (index >= this.palette.length) return;
+    this._setClusterRoles({ [index]: tool === "outside" ? "solid" : "floor" });
+    this.render();
+  }
+
+  /**
+   * Update the progress bar
+   * @param {Object|null} progress - { stage, index, total }, or null when the run has finished
+   */
+  _onProgress(progress) {
+    const bar = this.element?.querySelector("progress.pipeline-progress");
+    const label = this.element?.querySelector(".pipeline-stage");
+    if (!bar || !label) return;
+    bar.hidden = !progress;
+    label.textContent = progress ? `${STAGE_LABELS[progress.stage] ?? progress.stage}...` : "";
+    if (progress) {
+      bar.max = progress.total;
+      bar.value = progress.index;
+    }
+  }
+
   static onSubmit(event, form, formData) {
-    this.k = formData.object.k ?? this.k ?? 3;
-    this.threshold = formData.object.threshold ?? this.threshold ?? 32;
-    this.internalWalls = formData.object.internalWalls ?? this.internalWalls ?? false;
+    for (const key of Object.keys(this.settings)) {
+      this.settings[key] = formData.object[key] ?? this.settings[key];
+    }
+    const roles = foundry.utils.expandObject(formData.object).role;
+    if (roles) this._setClusterRoles(roles);
+    this.region = formData.object.region ?? this.region ?? "scene";
+    this.editor.tool = formData.object.editTool ?? this.editor.tool;
+
+    // picking a preset loads its settings over the ones in the form
+    const preset = formData.object.preset ?? this.preset;
+    if (preset !== this.preset) {
+      this.preset = preset;
+      Object.assign(this.settings, foundry.utils.deepClone(getPresets()[preset]?.settings ?? {}));
+      this.render();
+    }
   }
 }
 
+/**
+ * Shows how many walls Minimize Walls would merge, for a choice of walls, before merging them
+ */
+class MinimizeWallsApplication extends foundry.applications.api.HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
+  static DEFAULT_OPTIONS = foundry.utils.mergeObject(
+    super.DEFAULT_OPTIONS,
+    {
+      id: "minimize-walls",
+      tag: "form",
+      classes: ["sheet", "auto-detect-walls"],
+      position: {
+        width: 400,
+      },
+      window: {
+        title: "Minimize Walls",
+      },
+      form: {
+        submitOnChange: true,
+        closeOnSubmit: false,
+        handler: MinimizeWallsApplication.onSubmit,
+      },
+      actions: {
+        "minimize": async function () {
+          await combineSceneWalls(this.scene, { scope: this.scope });
+          await this.close();
+        },
+      },
+    },
+    { inplace: false }
+  );
+
+  static PARTS = {
+    form: {
+      id: "form",
+      template: "modules/auto-detect-walls/templates/minimize-walls.hbs",
+    },
+  };
 
+  constructor(scene, options) {
+    super(options);
+    this.scene = scene;
+    this.scope = canvas.scene === scene && canvas.walls.controlled.length > 0 ? "selected" : "all";
+  }
 
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const { walls, toDelete, toCreate } = planMinimizeWalls(this.scene, { scope: this.scope });
+    context.scope = this.scope;
+    context.scopes = {
+      selected: "Selected Walls",
+      auto: "Auto Detected Walls",
+      all: "All Walls",
+    };
+    context.before = walls.length;
+    context.merged = toDelete.length;
+    context.created = toCreate.length;
+    context.after = walls.length - toDelete.length + toCreate.length;
+    return context;
+  }
+
+  static onSubmit(event, form, formData) {
+    this.scope = formData.object.scope ?? this.scope;
+    this.render();
+  }
+}
+
+/**
+ * Detects and applies walls on many scenes at once, then shows what happened on each
+ */
+export class BatchAutoWallsApplication extends foundry.applications.api.HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
+  static DEFAULT_OPTIONS = foundry.utils.mergeObject(
+    super.DEFAULT_OPTIONS,
+    {
+      id: "batch-auto-walls",
+      tag: "form",
+      classes: ["sheet", "auto-detect-walls"],
+      position: {
+        width: 450,
+        height: 600,
+      },
+      window: {
+        title: "Auto Detect Walls: Batch",
+        resizable: true,
+      },
+      form: {
+        submitOnChange: true,
+        closeOnSubmit: false,
+        handler: BatchAutoWallsApplication.onSubmit,
+      },
+      actions: {
+        "run": BatchAutoWallsApplication.run,
+        "stop": function () {
+          this.abortController?.abort();
+        },
+      },
+    },
+    { inplace: false }
+  );
+
+  static PARTS = {
+    form: {
+      id: "form",
+      template: "modules/auto-detect-walls/templates/batch-auto-walls.hbs",
+    },
+  };
+
+  /**
+   * @param {Scene[]} scenes - the scenes to start with selected
+   * @param {Object} [options] - ApplicationV2 options
+   */
+  constructor(scenes, options) {
+    super(options);
+    this.selected = new Set(scenes.map(s=>s.id));
+    this.preset = "scene";
+    this.includeManual = false;
+    // set while a batch is running
+    this.abortController = null;
+    // what happened on each scene of the last batch
+    this.report = null;
+  }
+
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    context.preset = this.preset;
+    context.presets = {
+      ...BATCH_PRESETS,
+      ...Object.fromEntries(Object.entries(getPresets()).map(([id, { name }])=>[id, `Preset: ${name}`])),
+    };
+    context.includeManual = this.includeManual;
+    context.running = !!this.abortController;
+    context.scenes = game.scenes.contents
+      .sort((a, b)=>a.name.localeCompare(b.name))
+      .map(scene=>({
+        id: scene.id,
+        name: scene.name,
+        selected: this.selected.has(scene.id),
+        manualWalls: scene.walls.filter(w=>!w.flags["auto-detect-walls"]?.auto).length,
+      }));
+    context.selectedCount = this.selected.size;
+    const statuses = { created: "Created", skipped: "Skipped", failed: "Failed", cancelled: "Cancelled" };
+    context.report = this.report?.map(({ scene, status, walls, message })=>({
+      name: scene.name,
+      status,
+      label: statuses[status],
+      walls,
+      message,
+    }));
+    if (this.report) {
+      const count = (status)=>this.report.filter(r=>r.status === status).length;
+      context.summary = `${this.report.reduce((sum, r)=>sum + r.walls, 0)} walls created on ${count("created")} scenes. ` +
+        `${count("skipped")} skipped, ${count("failed")} failed` +
+        (count("cancelled") > 0 ? `, ${count("cancelled")} cancelled.` : ".");
+    }
+    return context;
+  }
+
+  async close(options) {
+    this.abortController?.abort();
+    return super.close(options);
+  }
+
+  static async run() {
+    if (this.abortController) return;
+    const scenes = game.scenes.filter(s=>this.selected.has(s.id));
+    if (scenes.length === 0) return ui.notifications.warn("No scenes selected");
+    this.abortController = new AbortController();
+    this.report = null;
+    await this.render();
+
+    let current = "";
+    this.report = await batchSceneToWalls(scenes, {
+      settingsFor: (scene)=>getSceneSettings(scene, { preset: this.preset }),
+      includeManual: this.includeManual,
+      signal: this.abortController.signal,
+      onScene: (scene, index, total)=>{
+        current = `Scene ${index + 1} of ${total}: ${scene.name}`;
+        this._onProgress(current, null);
+      },
+      onProgress: (progress)=>this._onProgress(current, progress),
+    });
+    this.abortController = null;
+    const failed = this.report.filter(r=>r.status === "failed").length;
+    if (failed > 0) ui.notifications.warn(`Auto Detect Walls failed on ${failed} scenes`);
+    else ui.notifications.info("Auto Detect Walls finished");
+    if (this.rendered) await this.render();
+  }
+
+  /**
+   * Show which scene is being worked on, and how far along it is
+   * @param {string} scene - a description of the scene
+   * @param {Object|null} progress - { stage, index, total }, or null when the scene is starting
+   */
+  _onProgress(scene, progress) {
+    const bar = this.element?.querySelector("progress.pipeline-progress");
+    const label = this.element?.querySelector(".pipeline-stage");
+    if (!bar || !label) return;
+    label.textContent = progress ? `${scene}: ${STAGE_LABELS[progress.stage] ?? progress.stage}...` : scene;
+    bar.max = progress?.total ?? 1;
+    bar.value = progress?.index ?? 0;
+  }
+
+  static onSubmit(event, form, formData) {
+    const data = foundry.utils.expandObject(formData.object);
+    this.preset = data.preset ?? this.preset;
+    this.includeManual = data.includeManual ?? this.includeManual;
+    for (const [id, selected] of Object.entries(data.scenes ?? {})) {
+      if (selected) this.selected.add(id);
+      else this.selected.delete(id);
+    }
+    this.render();
+  }
+}
+
+/**
+ * Ask for the name to save a preset under
+ * @param {string} name - the name to start with
+ * @returns {Promise<string|null>} the name, or null if cancelled
+ */
+async function promptPresetName(name) {
+  const result = await foundry.applications.api.DialogV2.prompt({
+    window: { title: "Save Preset" },
+    content: `<div class="form-group">
+        <label>Name</label>
+        <input type="text" name="name" value="${Handlebars.escapeExpression(name)}" autofocus>
+      </div>
+      <p class="hint">Saving under the name of an existing preset replaces it.</p>`,
+    ok: {
+      label: "Save",
+      icon: "fa-solid fa-save",
+      callback: (event, button)=>button.form.elements.name.value.trim(),
+    },
+    rejectClose: false,
+  });
+  return result || null;
+}
+
+/**
+ * Ask for a preset file exported by exportPreset, and import it
+ * @returns {Promise<string[]|null>} the ids of the imported presets, or null if cancelled or the file was invalid
+ */
+async function importPresetsDialog() {
+  const file = await foundry.applications.api.DialogV2.prompt({
+    window: { title: "Import Preset" },
+    content: `<div class="form-group">
+        <label>File</label>
+        <input type="file" name="file" accept=".json,application/json">
+      </div>`,
+    ok: {
+      label: "Import",
+      icon: "fa-solid fa-file-import",
+      callback: (event, button)=>button.form.elements.file.files[0] ?? null,
+    },
+    rejectClose: false,
+  });
+  if (!file) return null;
+  try {
+    const ids = await importPresets(await (foundry.utils.readTextFromFile ?? readTextFromFile)(file));
+    ui.notifications.info(`Imported ${ids.length === 1 ? "a preset" : `${ids.length} presets`}`);
+    return ids;
+  } catch (error) {
+    console.error(error);
+    ui.notifications.error(`Couldn't import ${file.name}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * The element a context menu was opened on: a jQuery object before v13, and an HTMLElement after
+ */
+function contextElement(li) {
+  return li instanceof HTMLElement ? li : li[0];
+}
+
+/**
+ * Add Auto Detect Walls to the context menus of scenes in the Scene Directory
+ */
+function OnGetSceneContextOptions(app, options) {
+  options.push({
+    name: "Auto Detect Walls",
+    icon: '<i class="fa-solid fa-hat-wizard"></i>',
+    condition: ()=>game.user.isGM,
+    callback: (li)=>{
+      const element = contextElement(li).closest("[data-entry-id], [data-document-id]");
+      const scene = game.scenes.get(element?.dataset.entryId ?? element?.dataset.documentId);
+      if (scene) new BatchAutoWallsApplication([scene]).render(true);
+    },
+  });
+}
+
+/**
+ * Add Auto Detect Walls to the context menus of scene folders, selecting every scene in the folder and its subfolders
+ */
+function OnGetSceneFolderContextOptions(app, options) {
+  options.push({
+    name: "Auto Detect Walls",
+    icon: '<i class="fa-solid fa-hat-wizard"></i>',
+    condition: ()=>game.user.isGM,
+    callback: (li)=>{
+      const folder = game.folders.get(contextElement(li).closest("[data-folder-id]")?.dataset.folderId);
+      if (!folder) return;
+      const scenes = [folder, ...folder.getSubfolders(true)].flatMap(f=>f.contents);
+      new BatchAutoWallsApplication(scenes).render(true);
+    },
+  });
+}
 
 function OnGetSceneControlButtons(controls) {
   if (foundry.utils.isNewerVersion(game.version, "13")) {
@@ -116,7 +661,14 @@ function OnGetSceneControlButtons(controls) {
       //   heading: "Minimize Walls",
       //   items: [],
       // },
-      onClick: ()=> combineSceneWalls(canvas.scene),
+      onClick: ()=> new MinimizeWallsApplication(canvas.scene).render(true),
+    }
+    controls.walls.tools["restore-walls"] = {
+      icon: "fa-solid fa-clock-rotate-left",
+      name: "restore-walls",
+      title: "Restore Previous Walls",
+      button: true,
+      onClick: ()=> confirmRestoreWalls(canvas.scene),
     }
   } else {
     const walls = controls.find(c=>c.name === "walls");
@@ -140,13 +692,46 @@ function OnGetSceneControlButtons(controls) {
       //   heading: "Minimize Walls",
       //   items: [],
       // },
-      onClick: ()=> combineSceneWalls(canvas.scene),
+      onClick: ()=> new MinimizeWallsApplication(canvas.scene).render(true),
+    });
+    walls.tools.push({
+      icon: "fa-solid fa-clock-rotate-left",
+      name: "restore-walls",
+      title: "Restore Previous Walls",
+      button: true,
+      onClick: ()=> confirmRestoreWalls(canvas.scene),
     });
   }
 }
 
+/**
+ * Ask before undoing the most recent Apply or Minimize Walls on a scene
+ * @param {Scene} scene
+ */
+async function confirmRestoreWalls(scene) {
+  const snapshot = latestSnapshot(scene);
+  if (!snapshot) return ui.notifications.warn("There are no previous walls to restore");
+  const confirmed = await foundry.applications.api.DialogV2.confirm({
+    window: { title: "Restore Previous Walls" },
+    content: `<p>Undo "${snapshot.operation}" from ${new Date(snapshot.timestamp).toLocaleString()}?</p>
+      <p>This deletes the ${snapshot.created.length} walls it created, and restores the ${snapshot.deleted.length} walls it removed.</p>`,
+  });
+  if (!confirmed) return;
+  await restorePreviousWalls(scene);
+  ui.notifications.info("Restored the previous walls");
+}
+
 export function register() {
   Hooks.on("getSceneControlButtons", OnGetSceneControlButtons);
+  if (foundry.utils.isNewerVersion(game.version, "13")) {
+    Hooks.on("getSceneContextOptions", OnGetSceneContextOptions);
+    Hooks.on("getFolderContextOptions", (app, options)=>{
+      if (app.documentName === "Scene") OnGetSceneFolderContextOptions(app, options);
+    });
+  } else {
+    Hooks.on("getSceneDirectoryEntryContext", OnGetSceneContextOptions);
+    Hooks.on("getSceneDirectoryFolderContext", OnGetSceneFolderContextOptions);
+  }
   // for testing purposes
   window.AutoWallsApplication = AutoWallsApplication;
 }
\ No newline at end of file
@@ -5,4 +5,11 @@ export * from './k-means.mjs';
 export * from './remove-holes.mjs';
 export * from './pixelize.mjs';
 export * from './identify-walls.mjs';
-export * from './separate-edges.mjs';
\ No newline at end of file
+export * from './identify-doors.mjs';
+export * from './separate-edges.mjs';
+export * from './random.mjs';
+export * from './hex.mjs';
+export * from './trace-contours.mjs';
+export * from './geometry.mjs';
+export * from './color.mjs';
+export * from './wall-placement.mjs';
\ No newline at end of file
@@ -1,13 +1,13 @@
-import { convertToGrayscale, applyGaussianBlur } from "./ops.mjs";
+import { convertToGrayscale, applyGaussianBlur, createImage, readImage, writeImage } from "./ops.mjs";
 
 /**
- * Apply Canny edge detection algorithm to a canvas
- * @param {HTMLCanvasElement} canvas - The canvas containing the image
+ * Apply Canny edge detection algorithm to an image
+ * @param {HTMLCanvasElement|Object} canvas - The canvas or image buffer containing the image, changed in place
  * @param {Object} [options] - Options for the algorithm
- * @param {number} [options.lowThreshold=10] - Low threshold for hysteresis (0-255)
- * @param {number} [options.highThreshold=30] - High threshold for hysteresis (0-255)
+ * @param {number} [options.lowThreshold=40] - Low threshold for hysteresis (0-255)
+ * @param {number} [options.highThreshold=70] - High threshold for hysteresis (0-255)
  * @param {number} [options.sigma=1.4] - Sigma value for Gaussian blur
- * @returns {Promise<void>} Promise that resolves when the edge detection is complete
+ * @returns {Promise<HTMLCanvasElement|Object>} The canvas or image buffer, with edges in white
  */
 export async function cannyEdgeDetection(canvas, options = {}) {
   const { 
@@ -16,72 +16,24 @@ export async function cannyEdgeDetection(canvas, options = {}) {
     sigma = 1.4 
   } = options;
   
-  const ctx = canvas.getContext('2d', { willReadFrequently: true });
-  const { width, height } = canvas;
-  
-  console.log(`Running Canny edge detection: ${width}x${height}, thresholds: ${lowThreshold}/${highThreshold}`);
+  const imageData = readImage(canvas);
+  const { width, height } = imageData;
   
   // Step 1: Convert to grayscale and apply Gaussian blur
-  const imageData = ctx.getImageData(0, 0, width, height);
   const grayscaleData = convertToGrayscale(imageData);
-  console.log("Grayscale conversion complete");
-  
   const blurredData = applyGaussianBlur(grayscaleData, sigma);
-  console.log("Gaussian blur complete");
   
   // Step 2: Calculate gradients using Sobel operators
   const { gradientMagnitude, gradientDirection } = calculateGradients(blurredData);
-  console.log("Gradient calculation complete");
   
   // Step 3: Apply non-maximum suppression
   const suppressedEdges = applyNonMaximumSuppression(gradientMagnitude, gradientDirection, width, height);
-  console.log("Non-maximum suppression complete");
 
-  // For debugging non-maximum suppression - now with normalization to make weak edges visible
-  const suppressionDebugImageData = ctx.createImageData(width, height);
-  const suppressionDebugData = suppressionDebugImageData.data;
-  
-  // Find max value for normalization
-  let maxValue = 1; // avoid division by zero
-  for (let i = 0; i < suppressedEdges.data.length; i++) {
-    if (suppressedEdges.data[i] > maxValue) maxValue = suppressedEdges.data[i];
-  }
-  
-  // Check if we have any edges
-  if (maxValue <= 1) {
-    throw new Error("No edges detected in the image. Please check the input image.");
-  }
-  
-  // Show normalized suppressed edges
-  for (let i = 0; i < suppressedEdges.data.length; i++) {
-    const offset = i * 4;
-    // Normalize to make weak edges visible
-    const normValue = Math.floor(suppressedEdges.data[i] * 255 / maxValue);
-    suppressionDebugData[offset] = normValue;
-    suppressionDebugData[offset + 1] = normValue;
-    suppressionDebugData[offset + 2] = normValue;
-    suppressionDebugData[offset + 3] = 255;
-  }
-  
-  // Apply the result to the canvas
-  ctx.putImageData(suppressionDebugImageData, 0, 0);
-  
-  // Return here for debugging - remove this line to continue to hysteresis
-  // return;
-  
   // Step 4: Apply hysteresis thresholding
   const edges = applyHysteresis(suppressedEdges, lowThreshold, highThreshold);
-  console.log("Hysteresis thresholding complete");
-  
-  // Count number of edge pixels for debugging
-  let edgeCount = 0;
-  for (let i = 0; i < edges.length; i++) {
-    if (edges[i] === 255) edgeCount++;
-  }
-  console.log(`Detected ${edgeCount} edge pixels out of ${edges.length} total pixels (${(edgeCount / edges.length * 100).toFixed(2)}%)`);
   
   // Create output image
-  const outputImageData = ctx.createImageData(width, height);
+  const outputImageData = createImage(width, height);
   const outputData = outputImageData.data;
   
   // Set pixels: white for edges, black for non-edges
@@ -94,27 +46,22 @@ export async function cannyEdgeDetection(canvas, options = {}) {
     outputData[offset + 3] = 255;       // Alpha (always fully opaque)
   }
   
-  // Apply the edge detection result to the canvas
-  ctx.putImageData(outputImageData, 0, 0);
+  // Apply the edge detection result to the image
+  imageData.data.set(outputData);
   
-  return canvas;
+  return writeImage(canvas, imageData);
 }
 
 
 /**
- * Apply grayscale conversion to a canvas
- * @param {HTMLCanvasElement} canvas - The canvas to convert to grayscale
- * @returns {Promise<void>} Promise that resolves when the conversion is complete
+ * Apply grayscale conversion to an image
+ * @param {HTMLCanvasElement|Object} canvas - The canvas or image buffer to convert to grayscale, changed in place
+ * @returns {Promise<HTMLCanvasElement|Object>} The canvas or image buffer
  */
 export async function applyGrayscale(canvas) {
-  const ctx = canvas.getContext('2d', { willReadFrequently: true });
-  const { width, height } = canvas;
-  const imageData = ctx.getImageData(0, 0, width, height);
+  const imageData = readImage(canvas);
   const grayscaleResult = convertToGrayscale(imageData);
-  
-  // Create a new ImageData object with proper RGBA format
-  const outputImageData = ctx.createImageData(width, height);
-  const outputData = outputImageData.data;
+  const outputData = imageData.data;
   
   // Convert single-channel grayscale to 4-channel RGBA
   for (let i = 0; i < grayscaleResult.data.length; i++) {
@@ -127,10 +74,7 @@ export async function applyGrayscale(canvas) {
     outputData[offset + 3] = 255;   // Alpha (fully opaque)
   }
   
-  // Apply the grayscale result to the canvas
-  ctx.putImageData(outputImageData, 0, 0);
-  
-  return canvas;
+  return writeImage(canvas, imageData);
 }
 
 /**
@@ -199,14 +143,9 @@ function applyNonMaximumSuppression(gradientMagnitude, gradientDirection, width,
   const magnitudeData = gradientMagnitude.gradientMagnitude || gradientMagnitude;
   const directionData = gradientDirection.gradientDirection || gradientDirection;
   
-  console.log(`Starting non-maximum suppression with dimensions: ${width}x${height}`);
-  
   // Create output array
   const suppressed = new Uint8ClampedArray(width * height);
   
-  // Debug counter for strong edges
-  let strongPixels = 0;
-  
   for (let y = 1; y < height - 1; y++) {
     for (let x = 1; x < width - 1; x++) {
       const idx = y * width + x;
@@ -261,15 +200,12 @@ function applyNonMaximumSuppression(gradientMagnitude, gradientDirection, width,
       // Keep the pixel if it's a local maximum
       if (magnitude >= neighbor1Value && magnitude >= neighbor2Value) {
         suppressed[idx] = magnitude;
-        strongPixels++;
       } else {
         suppressed[idx] = 0;
       }
     }
   }
   
-  console.log(`Non-maximum suppression: Found ${strongPixels} strong pixels out of ${width * height}`);
-  
   return { data: suppressed, width, height };
 }
 
@@ -0,0 +1,137 @@
+/**
+ * The color spaces pixels can be clustered in:
+ *  - "rgb": the raw channels
+ *  - "lab": CIELAB, where distances roughly match how different colors look, so dark colors aren't all lumped together
+ *  - "hsv": hue, saturation and value, as a cone, so that shadows (a lower value) stay close to the lit color
+ */
+export const COLOR_SPACES = ["rgb", "lab", "hsv"];
+
+/**
+ * The rough extent of each axis of each color space, used to put positions on the same scale as colors
+ */
+const COLOR_SPACE_RANGE = {
+  rgb: 255,
+  lab: 100,
+  hsv: 100,
+};
+
+// sRGB channel values with the gamma removed
+const LINEAR = new Float64Array(256).map((_, i) => {
+  const c = i / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+});
+
+// the D65 white point
+const WHITE = [0.95047, 1, 1.08883];
+
+/**
+ * Convert an sRGB color to CIELAB (D65)
+ * @param {number} r - 0-255
+ * @param {number} g - 0-255
+ * @param {number} b - 0-255
+ * @returns {Array<number>} [L, a, b], with L from 0 to 100
+ */
+export function rgbToLab(r, g, b) {
+  const lr = LINEAR[r], lg = LINEAR[g], lb = LINEAR[b];
+  const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / WHITE[0];
+  const y = (0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb) / WHITE[1];
+  const z = (0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / WHITE[2];
+  const f = (t) => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+  const fx = f(x), fy = f(y), fz = f(z);
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * Convert an RGB color to HSV
+ * @param {number} r - 0-255
+ * @param {number} g - 0-255
+ * @param {number} b - 0-255
+ * @returns {Array<number>} [h, s, v], with h in degrees and s and v from 0 to 1
+ */
+export function rgbToHsv(r, g, b) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const delta = max - min;
+  let h = 0;
+  if (delta > 0) {
+    if (max === r) h = 60 * (((g - b) / delta) % 6);
+    else if (max === g) h = 60 * ((b - r) / delta + 2);
+    else h = 60 * ((r - g) / delta + 4);
+  }
+  return [(h + 360) % 360, max === 0 ? 0 : delta / max, max / 255];
+}
+
+/**
+ * The perceptual difference between two CIELAB colors (CIE76 ΔE). About 2 is just noticeable.
+ * @param {Array<number>} lab1
+ * @param {Array<number>} lab2
+ * @returns {number}
+ */
+export function deltaE(lab1, lab2) {
+  return Math.hypot(lab1[0] - lab2[0], lab1[1] - lab2[1], lab1[2] - lab2[2]);
+}
+
+/**
+ * A color as a point in a color space, for clustering
+ * @param {number} r - 0-255
+ * @param {number} g - 0-255
+ * @param {number} b - 0-255
+ * @param {string} colorSpace - one of COLOR_SPACES
+ * @returns {Array<number>}
+ */
+export function colorFeatures(r, g, b, colorSpace = "rgb") {
+  switch (colorSpace) {
+    case "lab":
+      return rgbToLab(r, g, b);
+    case "hsv": {
+      // unroll the hue around a cone, so that it wraps around, and grays of any hue are close together
+      const [h, s, v] = rgbToHsv(r, g, b);
+      const chroma = s * v * 50;
+      const angle = h * Math.PI / 180;
+      return [chroma * Math.cos(angle), chroma * Math.sin(angle), v * 100];
+    }
+    case "rgb":
+    default:
+      return [r, g, b];
+  }
+}
+
+/**
+ * How much a pixel position counts in its feature vector, so that a spatialWeight of 1 makes crossing the image as
+ * significant as crossing the whole color space
+ * @param {string} colorSpace - one of COLOR_SPACES
+ * @param {number} spatialWeight - 0 to ignore positions
+ * @param {number} width - of the image, in pixels
+ * @param {number} height - of the image, in pixels
+ * @returns {number} the factor to multiply pixel coordinates by
+ */
+export function spatialScale(colorSpace, spatialWeight, width, height) {
+  return spatialWeight * (COLOR_SPACE_RANGE[colorSpace] ?? COLOR_SPACE_RANGE.rgb) / Math.max(width, height, 1);
+}
+
+/**
+ * A lookup of the features of RGB colors in a color space (see colorFeatures), which caches them, since images tend to
+ * repeat colors a lot
+ * @param {string} colorSpace - one of COLOR_SPACES
+ * @returns {Function} called with (r, g, b), returning the features
+ */
+export function colorFeaturesCache(colorSpace) {
+  const cache = new Map();
+  return (r, g, b) => {
+    const key = (r << 16) | (g << 8) | b;
+    let features = cache.get(key);
+    if (!features) {
+      features = colorFeatures(r, g, b, colorSpace);
+      cache.set(key, features);
+    }
+    return features;
+  };
+}
+
+/**
+ * A lookup of the CIELAB values of RGB colors, which caches them
+ * @returns {Function} called with (r, g, b), returning [L, a, b]
+ */
+export function labCache() {
+  return colorFeaturesCache("lab");
+}
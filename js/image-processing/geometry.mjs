@@ -0,0 +1,167 @@
+/**
+ * Whether a point is inside a polygon, by the even-odd rule
+ * @param {number} x
+ * @param {number} y
+ * @param {Array<number>} polygon - The polygon, as a flat list of points [x1, y1, x2, y2, ...]
+ * @returns {boolean}
+ */
+export function pointInPolygon(x, y, polygon) {
+  let inside = false;
+  const n = polygon.length / 2;
+  for (let i = 0, j = n - 1; i < n; j = i++) {
+    const xi = polygon[i * 2], yi = polygon[i * 2 + 1];
+    const xj = polygon[j * 2], yj = polygon[j * 2 + 1];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Clip a segment to a polygon, keeping only the parts inside it
+ * @param {Array<number>} segment - [x1, y1, x2, y2]
+ * @param {Array<number>} polygon - The polygon, as a flat list of points [x1, y1, x2, y2, ...]
+ * @returns {Array<Array<number>>} The parts of the segment inside the polygon
+ */
+export function clipSegmentToPolygon(segment, polygon) {
+  const [x1, y1, x2, y2] = segment;
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+
+  // find where the segment crosses the polygon's edges, as fractions along the segment
+  const cuts = [0, 1];
+  const n = polygon.length / 2;
+  for (let i = 0, j = n - 1; i < n; j = i++) {
+    const ex = polygon[i * 2] - polygon[j * 2];
+    const ey = polygon[i * 2 + 1] - polygon[j * 2 + 1];
+    const denom = dx * ey - dy * ex;
+    if (denom === 0) continue;
+    const wx = polygon[j * 2] - x1;
+    const wy = polygon[j * 2 + 1] - y1;
+    const t = (wx * ey - wy * ex) / denom;
+    const u = (wx * dy - wy * dx) / denom;
+    if (t > 0 && t < 1 && u >= 0 && u <= 1) cuts.push(t);
+  }
+  cuts.sort((a, b) => a - b);
+
+  // keep the pieces whose midpoints are inside
+  const pieces = [];
+  for (let i = 1; i < cuts.length; i++) {
+    const t0 = cuts[i - 1];
+    const t1 = cuts[i];
+    if (t1 - t0 < 1e-9) continue;
+    const mid = (t0 + t1) / 2;
+    if (!pointInPolygon(x1 + dx * mid, y1 + dy * mid, polygon)) continue;
+    const last = pieces[pieces.length - 1];
+    if (last && last.t1 === t0) {
+      last.t1 = t1;
+    } else {
+      pieces.push({ t0, t1 });
+    }
+  }
+  return pieces.map(({ t0, t1 }) => [x1 + dx * t0, y1 + dy * t0, x1 + dx * t1, y1 + dy * t1]);
+}
+
+/**
+ * Clip a list of segments to a polygon
+ * @param {Array<Array<number>>} segments - [[x1, y1, x2, y2], ...]
+ * @param {Array<number>} polygon - The polygon, as a flat list of points [x1, y1, x2, y2, ...]
+ * @returns {Array<Array<number>>} The parts of the segments inside the polygon
+ */
+export function clipSegmentsToPolygon(segments, polygon) {
+  return segments.flatMap(segment => clipSegmentToPolygon(segment, polygon));
+}
+
+/**
+ * The closed outline of a polygon, as segments
+ * @param {Array<number>} polygon - The polygon, as a flat list of points [x1, y1, x2, y2, ...]
+ * @returns {Array<Array<number>>} [[x1, y1, x2, y2], ...]
+ */
+export function polygonToSegments(polygon) {
+  const segments = [];
+  const n = polygon.length / 2;
+  for (let i = 0, j = n - 1; i < n; j = i++) {
+    segments.push([polygon[j * 2], polygon[j * 2 + 1], polygon[i * 2], polygon[i * 2 + 1]]);
+  }
+  return segments;
+}
+
+/**
+ * The distance from a point to a segment
+ * @param {number} px
+ * @param {number} py
+ * @param {Array<number>} segment - [x1, y1, x2, y2]
+ * @returns {number}
+ */
+export function distanceToSegment(px, py, [x1, y1, x2, y2]) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / lengthSquared));
+  return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+}
+
+/**
+ * Take away the parts of a segment that run along other segments, within a tolerance
+ * @param {Array<number>} segment - [x1, y1, x2, y2]
+ * @param {Array<Array<number>>} others - The segments to take away, [[x1, y1, x2, y2], ...]
+ * @param {number} tolerance - How far apart, in pixels, two segments can be and still run along each other
+ * @returns {Array<Array<number>>} The parts of the segment that are left, leaving out any shorter than the tolerance
+ */
+export function subtractSegments(segment, others, tolerance) {
+  const [x1, y1, x2, y2] = segment;
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const length = Math.hypot(dx, dy);
+  if (length === 0) return [];
+  const at = (t) => [x1 + dx * t, y1 + dy * t];
+
+  // the stretches of the segment, as fractions along it, that some other segment runs along
+  const covered = [];
+  for (const other of others) {
+    const t1 = ((other[0] - x1) * dx + (other[1] - y1) * dy) / (length * length);
+    const t2 = ((other[2] - x1) * dx + (other[3] - y1) * dy) / (length * length);
+    const from = Math.max(0, Math.min(t1, t2));
+    const to = Math.min(1, Math.max(t1, t2));
+    if (to <= from) continue;
+    // the distance to a segment can only dip in between, so if both ends of the stretch are close, all of it is
+    if (distanceToSegment(...at(from), other) > tolerance || distanceToSegment(...at(to), other) > tolerance) continue;
+    covered.push([from, to]);
+  }
+  covered.sort((a, b) => a[0] - b[0]);
+
+  const pieces = [];
+  let start = 0;
+  for (const [from, to] of covered) {
+    if (from > start) pieces.push([start, from]);
+    start = Math.max(start, to);
+  }
+  if (start < 1) pieces.push([start, 1]);
+  return pieces
+    .filter(([from, to]) => (to - from) * length > tolerance)
+    .map(([from, to]) => [...at(from), ...at(to)]);
+}
+
+/**
+ * Move the ends of a segment onto the nearest of some points, if they are within a tolerance
+ * @param {Array<number>} segment - [x1, y1, x2, y2]
+ * @param {Array<Array<number>>} points - The points to snap to, [[x, y], ...]
+ * @param {number} tolerance - How far, in pixels, an end can move
+ * @returns {Array<number>} The snapped segment
+ */
+export function snapSegmentEnds(segment, points, tolerance) {
+  const snap = (x, y) => {
+    let best = [x, y];
+    let bestDistance = tolerance;
+    for (const point of points) {
+      const distance = Math.hypot(point[0] - x, point[1] - y);
+      if (distance <= bestDistance) {
+        best = point;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  };
+  return [...snap(segment[0], segment[1]), ...snap(segment[2], segment[3])];
+}
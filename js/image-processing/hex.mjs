@@ -0,0 +1,144 @@
+/**
+ * Describes the layout of a hexagonal grid over an image, matching Foundry's hex grid conventions.
+ * The grid size is the distance between opposite sides of a hex.
+ *
+ * Internally everything is computed in (u, v) space, where u runs along the rows of tightly packed hexes
+ * (x for row grids, y for column grids), so that column grids are just transposed row grids.
+ */
+export class HexLayout {
+  /**
+   * @param {Object} options
+   * @param {number} options.size - The distance between opposite sides of a hex, in pixels
+   * @param {boolean} options.columns - Whether this is a column grid (flat-topped hexes) rather than a row grid
+   * @param {boolean} options.even - Whether the even rows (or columns) are offset, rather than the odd ones
+   * @param {Array<number>} options.origin - The [x, y] position of the grid origin, in pixels
+   */
+  constructor({ size, columns = false, even = false, origin = [0, 0] }) {
+    this.size = size;
+    this.columns = columns;
+    this.even = even;
+    this.origin = origin;
+    this.radius = size / Math.sqrt(3);
+    this.rowHeight = this.radius * 1.5;
+  }
+
+  toUV(x, y) {
+    const [ox, oy] = this.origin;
+    return this.columns ? [y - oy, x - ox] : [x - ox, y - oy];
+  }
+
+  fromUV(u, v) {
+    const [ox, oy] = this.origin;
+    return this.columns ? [v + ox, u + oy] : [u + ox, v + oy];
+  }
+
+  /**
+   * Whether the given row (or column) is shifted by half a hex
+   */
+  isShifted(row) {
+    return Math.abs(row + (this.even ? 1 : 0)) % 2 === 1;
+  }
+
+  /**
+   * The center of a hex, in pixels
+   * @param {number} row
+   * @param {number} col
+   * @returns {Array<number>} [x, y]
+   */
+  center(row, col) {
+    const u = col * this.size + this.size / 2 + (this.isShifted(row) ? this.size / 2 : 0);
+    const v = row * this.rowHeight + this.radius;
+    return this.fromUV(u, v);
+  }
+
+  /**
+   * The hex containing a pixel, found as the nearest hex center
+   * @param {number} x
+   * @param {number} y
+   * @returns {Array<number>} [row, col]
+   */
+  cellAt(x, y) {
+    const [u, v] = this.toUV(x, y);
+    const approxRow = Math.floor(v / this.rowHeight);
+    let best = null;
+    let bestDist = Infinity;
+    for (let row = approxRow - 1; row <= approxRow + 1; row++) {
+      const shift = this.isShifted(row) ? this.size / 2 : 0;
+      const col = Math.round((u - this.size / 2 - shift) / this.size);
+      const cu = col * this.size + this.size / 2 + shift;
+      const cv = row * this.rowHeight + this.radius;
+      const dist = (u - cu) ** 2 + (v - cv) ** 2;
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = [row, col];
+      }
+    }
+    return best;
+  }
+
+  /**
+   * The six corners of a hex, in pixels, in order around the hex
+   * @param {number} row
+   * @param {number} col
+   * @returns {Array<Array<number>>} [[x, y], ...]
+   */
+  vertices(row, col) {
+    const [cx, cy] = this.center(row, col);
+    const [cu, cv] = this.toUV(cx, cy);
+    const r = this.radius;
+    const h = this.size / 2;
+    return [
+      [cu, cv - r],
+      [cu + h, cv - r / 2],
+      [cu + h, cv + r / 2],
+      [cu, cv + r],
+      [cu - h, cv + r / 2],
+      [cu - h, cv - r / 2],
+    ].map(([u, v]) => this.fromUV(u, v));
+  }
+
+  /**
+   * The range of rows and columns needed to cover an image
+   * @param {number} width
+   * @param {number} height
+   * @returns {{ rows: Array<number>, cols: Array<number> }} inclusive [min, max] ranges
+   */
+  bounds(width, height) {
+    const corners = [[0, 0], [width, 0], [0, height], [width, height]].map(([x, y]) => this.toUV(x, y));
+    const us = corners.map(c => c[0]);
+    const vs = corners.map(c => c[1]);
+    return {
+      rows: [Math.floor(Math.min(...vs) / this.rowHeight) - 1, Math.ceil(Math.max(...vs) / this.rowHeight) + 1],
+      cols: [Math.floor(Math.min(...us) / this.size) - 1, Math.ceil(Math.max(...us) / this.size) + 1],
+    };
+  }
+
+  /**
+   * Every edge of every hex covering the image, each listed once
+   * @param {number} width
+   * @param {number} height
+   * @returns {Array<Array<number>>} [[x1, y1, x2, y2], ...]
+   */
+  edges(width, height) {
+    const { rows, cols } = this.bounds(width, height);
+    const seen = new Set();
+    const edges = [];
+    const key = ([x, y]) => `${Math.round(x * 100)},${Math.round(y * 100)}`;
+    for (let row = rows[0]; row <= rows[1]; row++) {
+      for (let col = cols[0]; col <= cols[1]; col++) {
+        const vertices = this.vertices(row, col);
+        for (let i = 0; i < 6; i++) {
+          const a = vertices[i];
+          const b = vertices[(i + 1) % 6];
+          const ka = key(a);
+          const kb = key(b);
+          const edgeKey = ka < kb ? `${ka}|${kb}` : `${kb}|${ka}`;
+          if (seen.has(edgeKey)) continue;
+          seen.add(edgeKey);
+          edges.push([a[0], a[1], b[0], b[1]]);
+        }
+      }
+    }
+    return edges;
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * Find doors among the walls produced by identifyWalls. Two kinds of doors are detected:
+ *  - gaps of up to maxGapCells cells between two runs of wall along the same grid line, with the inside on both sides
+ *  - wall cells in the middle of a run whose art differs in color from both the rest of the wall and the floor on
+ *    either side (i.e. a door drawn across an opening), again with the inside on both sides
+ * @param {ImageData} imageData - The original (unprocessed) image
+ * @param {Array<Array<number>>} walls - The walls from identifyWalls, as [x1, y1, x2, y2]
+ * @param {number} grid - The size of a cell in pixels
+ * @param {Object} options - Configuration options
+ * @param {number} options.maxGapCells - The widest gap, in cells, that is considered a doorway
+ * @param {number} options.colorThreshold - How different (0-255 per channel) door art must be from its surroundings
+ * @param {ImageData} [options.insideMask] - The pixelized inside mask, white inside; without it, gaps aren't checked, so
+ *   notches in the outline and pockets of the outside can become doors too
+ * @returns {{ walls: Array<Array<number>>, doors: Array<Array<number>> }} The remaining walls, and the doors
+ */
+export function identifyDoors(imageData, walls, grid, options = {}) {
+  const {
+    maxGapCells = 1,
+    colorThreshold = 48,
+    insideMask = null,
+  } = options;
+
+  // whether the cell around a point is inside, going by the mask
+  const isInside = (x, y) => {
+    if (!insideMask) return true;
+    const px = Math.floor(x);
+    const py = Math.floor(y);
+    if (px < 0 || py < 0 || px >= insideMask.width || py >= insideMask.height) return false;
+    return insideMask.data[(py * insideMask.width + px) * 4] >= 128;
+  };
+
+  // index the unit wall segments by the grid line they lie on
+  const lines = { h: new Map(), v: new Map() };
+  const other = [];
+  for (const wall of walls) {
+    const [x1, y1, x2, y2] = wall;
+    if (y1 === y2 && Math.abs(x2 - x1) === grid) {
+      addToLine(lines.h, y1, Math.min(x1, x2));
+    } else if (x1 === x2 && Math.abs(y2 - y1) === grid) {
+      addToLine(lines.v, x1, Math.min(y1, y2));
+    } else {
+      other.push(wall);
+    }
+  }
+
+  const doorCells = { h: new Map(), v: new Map() };
+  for (const orientation of ["h", "v"]) {
+    for (const [line, cells] of lines[orientation].entries()) {
+      const run = new Set(cells);
+      const sorted = [...cells].sort((a, b) => a - b);
+      const band = Math.max(1, Math.round(grid / 6));
+      const segment = (p) => orientation === "h" ? [p, line, p + grid, line] : [line, p, line, p + grid];
+      const colors = new Map(sorted.map(p => [p, meanColor(imageData, segment(p), band, 0)]));
+      // a door leads from inside to inside, where a gap with the outside on one side is just a bend in the outline
+      const insideBothSides = (p) => orientation === "h"
+        ? isInside(p + grid / 2, line - grid / 2) && isInside(p + grid / 2, line + grid / 2)
+        : isInside(line - grid / 2, p + grid / 2) && isInside(line + grid / 2, p + grid / 2);
+      const lineColor = averageColors([...colors.values()]);
+      for (let i = 0; i < sorted.length; i++) {
+        const pos = sorted[i];
+
+        // doorways: a short gap between this cell and the next wall cell along the line
+        if (i + 1 < sorted.length) {
+          const gap = (sorted[i + 1] - pos) / grid - 1;
+          if (gap >= 1 && gap <= maxGapCells) {
+            const gapCells = Array.from({ length: gap }, (_, g) => pos + (g + 1) * grid);
+            if (gapCells.every(insideBothSides)) {
+              for (const cell of gapCells) addToLine(doorCells[orientation], line, cell);
+            }
+          }
+        }
+
+        // door art: a cell in the middle of a run that doesn't look like the rest of the wall, or the floor either side
+        if (run.has(pos - grid) && run.has(pos + grid) && insideBothSides(pos)) {
+          const door = colors.get(pos);
+          const sideA = meanColor(imageData, segment(pos), band, -grid / 2);
+          const sideB = meanColor(imageData, segment(pos), band, grid / 2);
+          if (door && lineColor && sideA && sideB &&
+              colorDistance(door, lineColor) > colorThreshold &&
+              colorDistance(door, sideA) > colorThreshold &&
+              colorDistance(door, sideB) > colorThreshold) {
+            cells.delete(pos);
+            addToLine(doorCells[orientation], line, pos);
+          }
+        }
+      }
+    }
+  }
+
+  return {
+    walls: [...other, ...linesToSegments(lines, grid)],
+    doors: mergeRuns(doorCells, grid),
+  };
+}
+
+function addToLine(lineMap, line, pos) {
+  if (!lineMap.has(line)) lineMap.set(line, new Set());
+  lineMap.get(line).add(pos);
+}
+
+/**
+ * Convert the unit cells back into unit wall segments
+ */
+function linesToSegments(lines, grid) {
+  const segments = [];
+  for (const [y, cells] of lines.h.entries()) {
+    for (const x of cells) segments.push([x, y, x + grid, y]);
+  }
+  for (const [x, cells] of lines.v.entries()) {
+    for (const y of cells) segments.push([x, y, x, y + grid]);
+  }
+  return segments;
+}
+
+/**
+ * Merge adjacent unit cells along each line into single segments, so a double door becomes one door wall
+ */
+function mergeRuns(lines, grid) {
+  const segments = [];
+  for (const orientation of ["h", "v"]) {
+    for (const [line, cells] of lines[orientation].entries()) {
+      const sorted = [...cells].sort((a, b) => a - b);
+      let start = null;
+      for (let i = 0; i < sorted.length; i++) {
+        start ??= sorted[i];
+        if (sorted[i + 1] !== sorted[i] + grid) {
+          const end = sorted[i] + grid;
+          segments.push(orientation === "h" ? [start, line, end, line] : [line, start, line, end]);
+          start = null;
+        }
+      }
+    }
+  }
+  return segments;
+}
+
+/**
+ * The mean color of a band of pixels along an axis-aligned segment, optionally offset perpendicular to it
+ * @returns {Array<number>|null} [r, g, b], or null if the band is entirely outside the image
+ */
+function meanColor(imageData, segment, band, offset) {
+  const { data, width, height } = imageData;
+  const [x1, y1, x2, y2] = segment;
+  const horizontal = y1 === y2;
+  const xStart = Math.round(horizontal ? Math.min(x1, x2) : x1 + offset - band);
+  const xEnd = Math.round(horizontal ? Math.max(x1, x2) : x1 + offset + band);
+  const yStart = Math.round(horizontal ? y1 + offset - band : Math.min(y1, y2));
+  const yEnd = Math.round(horizontal ? y1 + offset + band : Math.max(y1, y2));
+
+  let r = 0, g = 0, b = 0, count = 0;
+  for (let y = Math.max(0, yStart); y < Math.min(height, yEnd); y++) {
+    for (let x = Math.max(0, xStart); x < Math.min(width, xEnd); x++) {
+      const idx = (y * width + x) * 4;
+      r += data[idx];
+      g += data[idx + 1];
+      b += data[idx + 2];
+      count++;
+    }
+  }
+  if (count === 0) return null;
+  return [r / count, g / count, b / count];
+}
+
+function averageColors(colors) {
+  const valid = colors.filter(c => c);
+  if (valid.length === 0) return null;
+  return [0, 1, 2].map(i => valid.reduce((sum, c) => sum + c[i], 0) / valid.length);
+}
+
+function colorDistance(c1, c2) {
+  return Math.max(...c1.map((v, i) => Math.abs(v - c2[i])));
+}
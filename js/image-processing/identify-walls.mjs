@@ -1,30 +1,38 @@
 
 
+import { HexLayout } from "./hex.mjs";
+import { readImage } from "./ops.mjs";
+
 /**
  * Given a canvas that's an outline of all the walls in a dungeon, and a grid size, return the walls in the dungeon.
- * @param {*} canvas 
+ * @param {HTMLCanvasElement|Object} canvas - The canvas or image buffer with the outline
+ * @param {number} grid - The size of a cell in pixels
+ * @param {Object} options
+ * @param {number} options.threshold - Brightness above which a pixel is part of an outline
+ * @param {Object} options.hex - If set, the grid is hexagonal; the options for a HexLayout
  */
 export function identifyWalls(canvas, grid, options = {}) {
   const {
     threshold = 100,
+    hex = null,
   } = options;
-  const ctx = canvas.getContext('2d', { willReadFrequently: true });
-  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-  const { data } = imageData;
+  if (hex) return identifyHexWalls(canvas, new HexLayout(hex), threshold);
+  const { data, width, height } = readImage(canvas);
 
   const walls = [];
 
-  for (let y = 0; y < canvas.height; y+=grid) {
-    for (let x = 0; x < canvas.width; x+=grid) {
+  for (let y = 0; y < height; y+=grid) {
+    for (let x = 0; x < width; x+=grid) {
       let mhorizontal = 0;
       let mvertical = 0;
       let horizontal = 0;
       let vertical = 0;
       for (let i = 0; i < grid; i++) {
-        const indexH = (y * canvas.width + x + i) * 4;
-        const indexH2 = ((y - 1) * canvas.width + x + i) * 4;
-        const indexV = ((y + i) * canvas.width + x) * 4;
-        const indexV2 = ((y + i) * canvas.width + (x-1)) * 4;
+        const indexH = (y * width + x + i) * 4;
+        const indexH2 = ((y - 1) * width + x + i) * 4;
+        const indexV = ((y + i) * width + x) * 4;
+        // the pixel to the left, which on the left edge of the image would wrap around to the row above
+        const indexV2 = x > 0 ? ((y + i) * width + (x-1)) * 4 : -1;
         if (data[indexH] >= threshold || (indexH2 >= 0 && indexH2 < data.length && data[indexH2] >= threshold)) {
           horizontal++;
           mhorizontal = Math.max(mhorizontal, horizontal);
@@ -50,7 +58,57 @@ export function identifyWalls(canvas, grid, options = {}) {
   return walls;
 }
 
-export function drawWalls(canvas, walls) {
+/**
+ * Hex grid version of identifyWalls: walk each hex edge, and keep it if most of it is covered by the outline.
+ * @param {*} canvas 
+ * @param {HexLayout} layout 
+ * @param {number} threshold 
+ */
+function identifyHexWalls(canvas, layout, threshold) {
+  const { data, width, height } = readImage(canvas);
+  const isOutline = (x, y) => {
+    // like the square version, also check the pixels up and to the left, since edges fall between pixels
+    for (const [px, py] of [[x, y], [x - 1, y], [x, y - 1], [x - 1, y - 1]]) {
+      if (px < 0 || py < 0 || px >= width || py >= height) continue;
+      if (data[(py * width + px) * 4] >= threshold) return true;
+    }
+    return false;
+  };
+
+  const walls = [];
+  for (const edge of layout.edges(width, height)) {
+    const [x1, y1, x2, y2] = edge;
+    const length = Math.hypot(x2 - x1, y2 - y1);
+    const steps = Math.max(1, Math.round(length));
+    let run = 0;
+    let maxRun = 0;
+    let inside = 0;
+    for (let i = 0; i <= steps; i++) {
+      const x = Math.round(x1 + (x2 - x1) * i / steps);
+      const y = Math.round(y1 + (y2 - y1) * i / steps);
+      if (x < 0 || y < 0 || x >= width || y >= height) {
+        run = 0;
+        continue;
+      }
+      inside++;
+      if (isOutline(x, y)) {
+        run++;
+        maxRun = Math.max(maxRun, run);
+      } else {
+        run = 0;
+      }
+    }
+    if (inside > steps / 2 && maxRun > steps / 2) {
+      walls.push(edge);
+    }
+  }
+  return walls;
+}
+
+export function drawWalls(canvas, walls, options = {}) {
+  const {
+    color = 'white',
+  } = options;
   const ctx = canvas.getContext('2d', { willReadFrequently: true });
   ctx.globalCompositeOperation = 'difference';
   ctx.strokeStyle = 'grey';
@@ -63,7 +121,7 @@ export function drawWalls(canvas, walls) {
     ctx.stroke();
   }
   ctx.globalCompositeOperation = 'normal';
-  ctx.strokeStyle = 'white';
+  ctx.strokeStyle = color;
   ctx.lineWidth = 2;
   for (const wall of walls) {
     const [x1, y1, x2, y2] = wall;
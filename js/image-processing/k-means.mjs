@@ -1,161 +1,431 @@
+import { seededRandom, randomSeed } from "./random.mjs";
+import { readImage, withImage } from "./ops.mjs";
+import { colorFeaturesCache, spatialScale, labCache, deltaE } from "./color.mjs";
+
 /**
- * Performs k-means clustering on an image to segment it into distinct regions.
- * @param {HTMLCanvasElement} canvas - The canvas element containing the image to segment
- * @param {number} k - The number of clusters (regions) to create
- * @param {number} maxIterations - Maximum number of iterations to perform
+ * Performs k-means clustering on an image to segment it into distinct regions. The clusters are trained with mini-batch
+ * k-means on random samples of pixels, and then every pixel is given the nearest one, so large images stay fast.
+ * @param {HTMLCanvasElement|Object} canvas - The canvas or image buffer containing the image to segment, changed in place
+ * @param {number} k - The number of clusters (regions) to create, up to 255
+ * @param {number} maxIterations - Maximum number of iterations (batches) to perform
  * @param {number} threshold - Convergence threshold (when centroids move less than this, stop)
+ * @param {number} batchSize - How many pixels each iteration samples; images smaller than this are clustered whole
+ * @param {number} seed - Seed for the random centroid initialization; the same seed always gives the same result
+ * @param {string} colorSpace - The color space to cluster in (see COLOR_SPACES)
+ * @param {number} spatialWeight - How much each pixel's position counts next to its color (see spatialScale); 0 to
+ *   cluster by color alone
+ * @returns {Array<Array<number>>} The color of each cluster, as [r, g, b], in the order the clusters were found
  */
 export function kMeansImageSegmentation(canvas, options={}) {
   const {
     k = 5,
     maxIterations = 50,
-    threshold = 1.0
+    threshold = 1.0,
+    batchSize = 4096,
+    seed = randomSeed(),
+    colorSpace = "rgb",
+    spatialWeight = 0,
   } = options;
-  const ctx = canvas.getContext('2d', { willReadFrequently: true });
-  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-  const { data, width, height } = imageData;
-  
-  // Prepare pixel data as vectors in RGB space
-  const pixels = [];
-  for (let i = 0; i < data.length; i += 4) {
-    pixels.push([data[i], data[i + 1], data[i + 2]]);
+  return withImage(canvas, (image) => {
+    const { data } = image;
+    const pixelCount = data.length / 4;
+    const random = seededRandom(seed);
+    const extractor = featureExtractor(image, { colorSpace, spatialWeight });
+    
+    let centroids;
+    if (pixelCount <= batchSize) {
+      ({ centroids } = kMeans(pixelFeatures(extractor, pixelCount), extractor.dimensions, k, { maxIterations, threshold, random }));
+    } else {
+      centroids = miniBatchKMeans(extractor, pixelCount, k, { maxIterations, threshold, batchSize, random });
+    }
+    
+    // Label every pixel with its nearest centroid
+    const clusters = new Uint8Array(pixelCount);
+    const feature = new Float64Array(extractor.dimensions);
+    for (let i = 0; i < pixelCount; i++) {
+      extractor.extract(i, feature);
+      clusters[i] = nearestCentroid(feature, 0, centroids, extractor.dimensions, k);
+    }
+    const colors = clusterColors(data, clusters, k);
+    
+    // Replace each pixel with its cluster's color, keeping the original alpha
+    for (let i = 0; i < pixelCount; i++) {
+      const [r, g, b] = colors[clusters[i]];
+      
+      const offset = i * 4;
+      data[offset] = r;
+      data[offset + 1] = g;
+      data[offset + 2] = b;
+    }
+
+    return colors;
+  });
+}
+
+/**
+ * Computes the feature vector of each pixel of an image: its color in the color space, followed by its scaled
+ * position if spatialWeight is set
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} image
+ * @param {Object} options
+ * @param {string} options.colorSpace - The color space (see COLOR_SPACES)
+ * @param {number} options.spatialWeight - How much the position counts (see spatialScale)
+ * @returns {{ dimensions: number, extract: Function }} the length of the feature vectors, and a function that writes
+ *   the features of the pixel with the given index into an array at an offset
+ */
+function featureExtractor({ data, width, height }, { colorSpace, spatialWeight }) {
+  const scale = spatialScale(colorSpace, spatialWeight, width, height);
+  const dimensions = scale > 0 ? 5 : 3;
+  const features = colorFeaturesCache(colorSpace);
+  const extract = (i, out, offset = 0) => {
+    const p = i * 4;
+    if (colorSpace === "rgb") {
+      out[offset] = data[p];
+      out[offset + 1] = data[p + 1];
+      out[offset + 2] = data[p + 2];
+    } else {
+      const color = features(data[p], data[p + 1], data[p + 2]);
+      out[offset] = color[0];
+      out[offset + 1] = color[1];
+      out[offset + 2] = color[2];
+    }
+    if (scale > 0) {
+      out[offset + 3] = (i % width) * scale;
+      out[offset + 4] = Math.floor(i / width) * scale;
+    }
+  };
+  return { dimensions, extract };
+}
+
+/**
+ * The feature vectors of some pixels, packed one after another
+ * @param {Object} extractor - from featureExtractor
+ * @param {number|Array<number>} indices - The indices of the pixels, or how many pixels to take from the start
+ * @returns {Float32Array}
+ */
+function pixelFeatures(extractor, indices) {
+  const count = typeof indices === "number" ? indices : indices.length;
+  const features = new Float32Array(count * extractor.dimensions);
+  for (let n = 0; n < count; n++) {
+    extractor.extract(typeof indices === "number" ? n : indices[n], features, n * extractor.dimensions);
   }
-  
+  return features;
+}
+
+/**
+ * The mean RGB color of the pixels in each cluster, rounded. Clusters without pixels are black.
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {ArrayLike<number>} clusters - The cluster of each pixel
+ * @param {number} k - The number of clusters
+ * @param {Array<number>} [indices] - The pixel each entry of clusters is for, if not all of them
+ * @returns {Array<Array<number>>} [r, g, b] for each cluster
+ */
+function clusterColors(data, clusters, k, indices = null) {
+  const sums = new Float64Array(k * 4);
+  for (let n = 0; n < clusters.length; n++) {
+    const offset = (indices ? indices[n] : n) * 4;
+    const sum = clusters[n] * 4;
+    sums[sum] += data[offset];
+    sums[sum + 1] += data[offset + 1];
+    sums[sum + 2] += data[offset + 2];
+    sums[sum + 3]++;
+  }
+  const colors = [];
+  for (let c = 0; c < k; c++) {
+    const count = sums[c * 4 + 3];
+    colors.push(count > 0
+      ? [Math.round(sums[c * 4] / count), Math.round(sums[c * 4 + 1] / count), Math.round(sums[c * 4 + 2] / count)]
+      : [0, 0, 0]);
+  }
+  return colors;
+}
+
+/**
+ * Choose the number of clusters and the color threshold for an image. Each k in the range is tried on a random sample
+ * of pixels, and the one with the best mean silhouette (how much closer pixels are to their own cluster than to the
+ * nearest other one) wins. The color threshold is then half the typical ΔE between each cluster's color and the
+ * nearest other one, so that shades of one color are lumped together but distinct colors are not.
+ * @param {HTMLCanvasElement|Object} canvas - The canvas or image buffer containing the image
+ * @param {Object} options
+ * @param {number} options.minK - The fewest clusters to try
+ * @param {number} options.maxK - The most clusters to try
+ * @param {number} options.sampleSize - How many pixels to sample
+ * @param {number} options.seed - Seed for the sampling and clustering
+ * @param {string} options.colorSpace - The color space to cluster in, as for kMeansImageSegmentation
+ * @param {number} options.spatialWeight - How much each pixel's position counts, as for kMeansImageSegmentation
+ * @returns {{ k: number, colorThreshold: number }}
+ */
+export function chooseKMeansParameters(canvas, options = {}) {
+  const {
+    minK = 2,
+    maxK = 8,
+    sampleSize = 1000,
+    seed = randomSeed(),
+    colorSpace = "rgb",
+    spatialWeight = 0,
+  } = options;
+  const image = readImage(canvas);
+  const { data } = image;
+  const random = seededRandom(seed);
+
+  const pixelCount = data.length / 4;
+  const indices = [];
+  for (let i = 0; i < Math.min(sampleSize, pixelCount); i++) {
+    indices.push(Math.floor(random() * pixelCount));
+  }
+  const extractor = featureExtractor(image, { colorSpace, spatialWeight });
+  const { dimensions } = extractor;
+  const sample = pixelFeatures(extractor, indices);
+
+  // the distances between sampled pixels are shared by every k
+  const n = indices.length;
+  const distances = new Float32Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      distances[i * n + j] = distances[j * n + i] = Math.sqrt(squaredDistance(sample, i * dimensions, sample, j * dimensions, dimensions));
+    }
+  }
+
+  let best = { k: minK, score: -Infinity, clusters: null };
+  for (let k = minK; k <= maxK; k++) {
+    const { clusters } = kMeans(sample, dimensions, k, { maxIterations: 50, threshold: 1.0, random });
+    const score = silhouette(distances, clusters, k);
+    if (score > best.score) best = { k, score, clusters };
+  }
+
+  // the ΔE from each cluster's color to the nearest other one
+  const lab = labCache();
+  const colors = clusterColors(data, best.clusters, best.k, indices).map(([r, g, b]) => lab(r, g, b));
+  const nearest = colors.map((a, i) => Math.min(...colors.filter((b, j) => j !== i).map(b => deltaE(a, b))));
+  nearest.sort((a, b) => a - b);
+  const median = nearest[Math.floor(nearest.length / 2)];
+  const colorThreshold = Math.max(2, Math.min(50, Math.round(median / 2)));
+
+  return { k: best.k, colorThreshold };
+}
+
+/**
+ * The mean silhouette of a clustering: for each point, (b - a) / max(a, b), where a is its mean distance to the other
+ * points in its cluster, and b its mean distance to the points of the nearest other cluster.
+ * @param {Float32Array} distances - The distance between each pair of points, as an n by n matrix
+ * @param {Array<number>} clusters - The cluster of each point
+ * @param {number} k - The number of clusters
+ * @returns {number} between -1 (bad) and 1 (good)
+ */
+function silhouette(distances, clusters, k) {
+  const n = clusters.length;
+  const sizes = new Array(k).fill(0);
+  for (const cluster of clusters) sizes[cluster]++;
+
+  let total = 0;
+  const sums = new Float64Array(k);
+  for (let i = 0; i < n; i++) {
+    sums.fill(0);
+    for (let j = 0; j < n; j++) sums[clusters[j]] += distances[i * n + j];
+    const own = clusters[i];
+    // points alone in their cluster count as 0
+    if (sizes[own] <= 1) continue;
+    const a = sums[own] / (sizes[own] - 1);
+    let b = Infinity;
+    for (let c = 0; c < k; c++) {
+      if (c !== own && sizes[c] > 0) b = Math.min(b, sums[c] / sizes[c]);
+    }
+    if (b === Infinity) continue;
+    total += (b - a) / (Math.max(a, b) || 1);
+  }
+  return total / n;
+}
+
+/**
+ * Cluster vectors with k-means, starting from k-means++ centroids
+ * @param {Float32Array} points - The vectors to cluster, such as colors (see pixelFeatures), packed one after another
+ * @param {number} dimensions - The length of each vector
+ * @param {number} k - The number of clusters
+ * @param {Object} options
+ * @param {number} options.maxIterations - Maximum number of iterations to perform
+ * @param {number} options.threshold - Convergence threshold (when centroids move less than this, stop)
+ * @param {Function} options.random - Source of random numbers in [0, 1)
+ * @returns {{ centroids: Float64Array, clusters: Uint8Array }} The centroids, packed like the points, and the cluster of
+ *   each vector
+ */
+function kMeans(points, dimensions, k, { maxIterations, threshold, random }) {
+  const count = points.length / dimensions;
   // Initialize centroids using k-means++ method
-  const centroids = initializeCentroidsKMeansPP(pixels, k);
+  const centroids = initializeCentroidsKMeansPP(points, dimensions, k, random);
   
-  // Array to store cluster assignments for each pixel
-  let clusters = new Array(pixels.length).fill(0);
+  // Array to store cluster assignments for each point
+  const clusters = new Uint8Array(count);
+  const sums = new Float64Array(k * dimensions);
+  const counts = new Uint32Array(k);
   
   // Main k-means loop
   let iterations = 0;
   let converged = false;
   
   while (!converged && iterations < maxIterations) {
-    // Assign pixels to nearest centroid
-    for (let i = 0; i < pixels.length; i++) {
-      let minDist = Infinity;
-      let closestCluster = 0;
-      
-      for (let j = 0; j < k; j++) {
-        const dist = euclideanDistance(pixels[i], centroids[j]);
-        if (dist < minDist) {
-          minDist = dist;
-          closestCluster = j;
-        }
-      }
-      
-      clusters[i] = closestCluster;
+    // Assign points to nearest centroid
+    for (let i = 0; i < count; i++) {
+      clusters[i] = nearestCentroid(points, i * dimensions, centroids, dimensions, k);
     }
     
     // Create new centroids by averaging
-    const newCentroids = Array(k).fill().map(() => [0, 0, 0]);
-    const counts = Array(k).fill(0);
-    
-    for (let i = 0; i < pixels.length; i++) {
+    sums.fill(0);
+    counts.fill(0);
+    for (let i = 0; i < count; i++) {
       const cluster = clusters[i];
-      const pixel = pixels[i];
-      
-      newCentroids[cluster][0] += pixel[0];
-      newCentroids[cluster][1] += pixel[1];
-      newCentroids[cluster][2] += pixel[2];
+      for (let d = 0; d < dimensions; d++) sums[cluster * dimensions + d] += points[i * dimensions + d];
       counts[cluster]++;
     }
     
-    // Calculate average for each centroid
-    for (let i = 0; i < k; i++) {
-      if (counts[i] > 0) {
-        newCentroids[i][0] /= counts[i];
-        newCentroids[i][1] /= counts[i];
-        newCentroids[i][2] /= counts[i];
-      }
-    }
-    
-    // Check for convergence
+    // Move each centroid to the average of its points, and check for convergence
     converged = true;
-    for (let i = 0; i < k; i++) {
-      if (euclideanDistance(centroids[i], newCentroids[i]) > threshold) {
+    for (let c = 0; c < k; c++) {
+      if (counts[c] === 0) {
+        // an empty cluster collapses to the origin, as a cluster with no points to average
+        for (let d = 0; d < dimensions; d++) sums[c * dimensions + d] = 0;
+      } else {
+        for (let d = 0; d < dimensions; d++) sums[c * dimensions + d] /= counts[c];
+      }
+      if (Math.sqrt(squaredDistance(centroids, c * dimensions, sums, c * dimensions, dimensions)) > threshold) {
         converged = false;
-        break;
       }
     }
     
     // Update centroids
-    centroids.splice(0, k, ...newCentroids);
+    centroids.set(sums);
     iterations++;
   }
   
-  // Create segmented image
-  const segmentedData = new Uint8ClampedArray(data.length);
+  return { centroids, clusters };
+}
+
+/**
+ * Cluster the pixels of an image with mini-batch k-means: each iteration moves the centroids towards a random batch of
+ * pixels, by less and less as more pixels are seen, so only a fraction of a large image ever needs to be looked at.
+ * @param {Object} extractor - from featureExtractor
+ * @param {number} pixelCount - The number of pixels in the image
+ * @param {number} k - The number of clusters
+ * @param {Object} options
+ * @param {number} options.maxIterations - Maximum number of batches
+ * @param {number} options.threshold - Convergence threshold (when centroids move less than this, stop)
+ * @param {number} options.batchSize - The number of pixels in each batch
+ * @param {Function} options.random - Source of random numbers in [0, 1)
+ * @returns {Float64Array} The centroids, packed one after another
+ */
+function miniBatchKMeans(extractor, pixelCount, k, { maxIterations, threshold, batchSize, random }) {
+  const { dimensions } = extractor;
+  const sampleBatch = () => pixelFeatures(extractor, Array.from({ length: batchSize }, () => Math.floor(random() * pixelCount)));
   
-  for (let i = 0; i < pixels.length; i++) {
-    const cluster = clusters[i];
-    const [r, g, b] = centroids[cluster].map(Math.round);
+  const centroids = initializeCentroidsKMeansPP(sampleBatch(), dimensions, k, random);
+  const seen = new Uint32Array(k);
+  const previous = new Float64Array(centroids.length);
+  const clusters = new Uint8Array(batchSize);
+  
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const batch = sampleBatch();
+    previous.set(centroids);
+    for (let i = 0; i < batchSize; i++) {
+      clusters[i] = nearestCentroid(batch, i * dimensions, centroids, dimensions, k);
+    }
+    // each centroid is the running average of every pixel it has been given
+    for (let i = 0; i < batchSize; i++) {
+      const c = clusters[i];
+      const rate = 1 / ++seen[c];
+      for (let d = 0; d < dimensions; d++) {
+        centroids[c * dimensions + d] += (batch[i * dimensions + d] - centroids[c * dimensions + d]) * rate;
+      }
+    }
     
-    const offset = i * 4;
-    segmentedData[offset] = r;
-    segmentedData[offset + 1] = g;
-    segmentedData[offset + 2] = b;
-    segmentedData[offset + 3] = data[offset + 3]; // Keep original alpha
+    let moved = 0;
+    for (let c = 0; c < k; c++) {
+      moved = Math.max(moved, Math.sqrt(squaredDistance(centroids, c * dimensions, previous, c * dimensions, dimensions)));
+    }
+    if (moved <= threshold) break;
   }
   
-  // Create result image
-  const result = new ImageData(segmentedData, width, height);
-
-  ctx.clearRect(0, 0, width, height);
-  ctx.putImageData(result, 0, 0);
+  return centroids;
 }
 
 /**
  * Initialize centroids using the k-means++ algorithm
- * @param {Array<Array<number>>} pixels - Array of pixel data as RGB vectors
+ * @param {Float32Array} points - The vectors to choose from, packed one after another
+ * @param {number} dimensions - The length of each vector
  * @param {number} k - Number of centroids to initialize
- * @returns {Array<Array<number>>} Initialized centroids
+ * @param {Function} random - Source of random numbers in [0, 1)
+ * @returns {Float64Array} Initialized centroids, packed one after another
  */
-function initializeCentroidsKMeansPP(pixels, k) {
-  const centroids = [];
+function initializeCentroidsKMeansPP(points, dimensions, k, random) {
+  const count = points.length / dimensions;
+  const centroids = new Float64Array(k * dimensions);
   
   // Choose the first centroid randomly
-  const firstIndex = Math.floor(Math.random() * pixels.length);
-  centroids.push([...pixels[firstIndex]]);
+  const firstIndex = Math.floor(random() * count);
+  centroids.set(points.subarray(firstIndex * dimensions, (firstIndex + 1) * dimensions), 0);
+  
+  // The squared distance from each point to its nearest centroid so far
+  const distances = new Float64Array(count).fill(Infinity);
   
   // Choose the remaining centroids
   for (let i = 1; i < k; i++) {
-    // Calculate the squared distance from each point to its nearest centroid
-    const distances = pixels.map(pixel => {
-      const minDist = Math.min(...centroids.map(centroid => 
-        euclideanDistance(pixel, centroid)
-      ));
-      return minDist * minDist; // Square the distance
-    });
-    
-    // Calculate the sum of all distances
-    const sum = distances.reduce((a, b) => a + b, 0);
+    // Only the newest centroid can be nearer than before
+    let sum = 0;
+    for (let j = 0; j < count; j++) {
+      distances[j] = Math.min(distances[j], squaredDistance(points, j * dimensions, centroids, (i - 1) * dimensions, dimensions));
+      sum += distances[j];
+    }
     
     // Choose the next centroid with probability proportional to squared distance
-    let threshold = Math.random() * sum;
+    let threshold = random() * sum;
     let j = 0;
     
-    while (threshold > 0 && j < distances.length) {
+    while (threshold > 0 && j < count) {
       threshold -= distances[j];
       j++;
     }
     
     // Add the new centroid
-    centroids.push([...pixels[Math.max(0, j - 1)]]);
+    const chosen = Math.max(0, j - 1);
+    centroids.set(points.subarray(chosen * dimensions, (chosen + 1) * dimensions), i * dimensions);
   }
   
   return centroids;
 }
 
 /**
- * Calculates the Euclidean distance between two vectors
- * @param {Array<number>} v1 - First vector
- * @param {Array<number>} v2 - Second vector
- * @returns {number} The Euclidean distance
+ * The index of the centroid nearest to a vector
+ * @param {ArrayLike<number>} vectors - Packed vectors
+ * @param {number} offset - Where the vector starts in vectors
+ * @param {Float64Array} centroids - Packed centroids
+ * @param {number} dimensions - The length of each vector
+ * @param {number} k - The number of centroids
+ * @returns {number}
+ */
+function nearestCentroid(vectors, offset, centroids, dimensions, k) {
+  let minDist = Infinity;
+  let closest = 0;
+  for (let c = 0; c < k; c++) {
+    const dist = squaredDistance(vectors, offset, centroids, c * dimensions, dimensions);
+    if (dist < minDist) {
+      minDist = dist;
+      closest = c;
+    }
+  }
+  return closest;
+}
+
+/**
+ * Calculates the squared Euclidean distance between two packed vectors
+ * @param {ArrayLike<number>} a - First vectors
+ * @param {number} aOffset - Where the first vector starts in a
+ * @param {ArrayLike<number>} b - Second vectors
+ * @param {number} bOffset - Where the second vector starts in b
+ * @param {number} dimensions - The length of the vectors
+ * @returns {number} The squared Euclidean distance
  */
-function euclideanDistance(v1, v2) {
-  return Math.sqrt(
-    v1.reduce((sum, val, i) => sum + Math.pow(val - v2[i], 2), 0)
-  );
+function squaredDistance(a, aOffset, b, bOffset, dimensions) {
+  let sum = 0;
+  for (let d = 0; d < dimensions; d++) {
+    const diff = a[aOffset + d] - b[bOffset + d];
+    sum += diff * diff;
+  }
+  return sum;
 }
@@ -1,12 +1,12 @@
-import { convertToGrayscale, applyGaussianBlur } from "./ops.mjs";
+import { convertToGrayscale, applyGaussianBlur, readImage, writeImage } from "./ops.mjs";
 
 /**
- * Apply Kovalevsky edge detection algorithm to a canvas
- * @param {HTMLCanvasElement} canvas - The canvas containing the image
+ * Apply Kovalevsky edge detection algorithm to an image
+ * @param {HTMLCanvasElement|Object} canvas - The canvas or image buffer containing the image, changed in place
  * @param {Object} [options] - Options for the algorithm
  * @param {number} [options.threshold=25] - Threshold for edge detection (0-255)
  * @param {boolean} [options.thinning=true] - Apply edge thinning
- * @returns {Promise<HTMLCanvasElement>} The canvas with detected edges
+ * @returns {Promise<HTMLCanvasElement|Object>} The canvas or image buffer with detected edges
  */
 export async function kovalevskiyEdgeDetection(canvas, options = {}) {
   const { 
@@ -14,31 +14,22 @@ export async function kovalevskiyEdgeDetection(canvas, options = {}) {
     thinning = true
   } = options;
 
-  const ctx = canvas.getContext('2d', { willReadFrequently: true });
-  const { width, height } = canvas;
-  
-  console.log(`Running Kovalevsky edge detection: ${width}x${height}, threshold: ${threshold}`);
+  const imageData = readImage(canvas);
   
   // Step 1: Convert to grayscale
-  const imageData = ctx.getImageData(0, 0, width, height);
   const grayscaleData = convertToGrayscale(imageData);
-  console.log("Grayscale conversion complete");
   
   // Step 2: Apply Gaussian blur to reduce noise
   const blurredData = applyGaussianBlur(grayscaleData, 1.0);
-  console.log("Gaussian blur complete");
   
   // Step 3: Apply gradient operator (improved version)
   const gradientMagnitude = calculateImprovedGradient(blurredData);
-  console.log("Gradient calculation complete");
   
   // Step 4: Apply threshold and topology-preserving thinning
   const edges = applyEdgeExtraction(gradientMagnitude, threshold, thinning);
-  console.log("Edge extraction complete");
   
-  // Create output image
-  const outputImageData = ctx.createImageData(width, height);
-  const outputData = outputImageData.data;
+  // Write the output over the image
+  const outputData = imageData.data;
   
   // Set pixels: white for edges, black for non-edges
   for (let i = 0; i < edges.length; i++) {
@@ -50,10 +41,7 @@ export async function kovalevskiyEdgeDetection(canvas, options = {}) {
     outputData[offset + 3] = 255;       // Alpha (always fully opaque)
   }
   
-  // Apply the edge detection result to the canvas
-  ctx.putImageData(outputImageData, 0, 0);
-  
-  return canvas;
+  return writeImage(canvas, imageData);
 }
 
 /**
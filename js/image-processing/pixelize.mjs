@@ -1,20 +1,25 @@
+import { copyImage, readImage, withImage, imageToNewCanvas } from "./ops.mjs";
+import { HexLayout } from "./hex.mjs";
+
 /**
  * Pixelizes an image using a nearest neighbor strategy
  * 
- * @param {HTMLCanvasElement} canvas - The canvas element containing the image to pixelize
+ * @param {HTMLCanvasElement|OffscreenCanvas|Object} canvas - The canvas or image buffer containing the image to pixelize
  * @param {Object} options - Configuration options
  * @param {number} options.cellSize - The size of each pixelized cell in pixels
- * @param {boolean} options.preserveCanvas - If true, returns a new canvas instead of modifying the input
- * @returns {HTMLCanvasElement} The pixelized canvas (either the input or a new one)
+ * @param {boolean} options.preserveCanvas - If true, returns a new canvas (or image buffer) instead of modifying the input
+ * @param {Object} options.hex - If set, pixelize into hexagonal cells instead; the options for a HexLayout
+ * @returns {HTMLCanvasElement|Object} The pixelized canvas or image buffer (either the input or a new one)
  */
 export function pixelizeNearest(canvas, options = {}) {
   const { 
     cellSize = 8,  // Default to 8×8 pixel cells
-    preserveCanvas = false
+    preserveCanvas = false,
+    hex = null,
   } = options;
   
   // Validate inputs
-  if (!canvas || !(canvas instanceof HTMLCanvasElement)) {
+  if (!canvas?.width || !canvas?.height) {
     throw new Error('Invalid canvas element');
   }
   
@@ -22,69 +27,125 @@ export function pixelizeNearest(canvas, options = {}) {
     throw new Error('Cell size must be at least 1 pixel');
   }
   
-  // Original dimensions
-  const originalWidth = canvas.width;
-  const originalHeight = canvas.height;
-  
-  // Target canvas (either the input canvas or a new one)
-  const targetCanvas = preserveCanvas 
-    ? document.createElement('canvas') 
-    : canvas;
-  
+  // Target (either the input or a copy of it)
+  let target = canvas;
   if (preserveCanvas) {
-    targetCanvas.width = originalWidth;
-    targetCanvas.height = originalHeight;
+    const copy = copyImage(readImage(canvas));
+    target = typeof canvas.getContext === 'function' ? imageToNewCanvas(copy) : copy;
   }
   
-  // Get the contexts for reading and writing
-  const sourceCtx = canvas.getContext('2d', { willReadFrequently: true });
-  const targetCtx = targetCanvas.getContext('2d', { willReadFrequently: true });
-  
-  // Get the original image data
-  const imageData = sourceCtx.getImageData(0, 0, originalWidth, originalHeight);
-  const { data } = imageData;
-  
+  return withImage(target, (image) => {
+    const { data, width, height } = image;
+    if (hex) {
+      pixelizeHex(data, width, height, new HexLayout(hex));
+    } else {
+      pixelizeSquare(data, width, height, cellSize);
+    }
+    return image;
+  });
+}
+
+/**
+ * Set every pixel to the most common color in its square cell, in place
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} width
+ * @param {number} height
+ * @param {number} cellSize
+ */
+function pixelizeSquare(data, width, height, cellSize) {
   // Calculate the dimensions in terms of cells
-  const cellsX = Math.ceil(originalWidth / cellSize);
-  const cellsY = Math.ceil(originalHeight / cellSize);
+  const cellsX = Math.ceil(width / cellSize);
+  const cellsY = Math.ceil(height / cellSize);
   
-  console.log(`Pixelizing image: ${originalWidth}x${originalHeight} to ${cellsX}x${cellsY} cells (cell size: ${cellSize}px)`);
+  console.log(`Pixelizing image: ${width}x${height} to ${cellsX}x${cellsY} cells (cell size: ${cellSize}px)`);
 
+  const colors = new Map();
   // Loop through each cell
   for (let y = 0; y < cellsY; y++) {
     for (let x = 0; x < cellsX; x++) {
       // Calculate the bounds of the current cell
       const startX = x * cellSize;
       const startY = y * cellSize;
-      const endX = Math.min(startX + cellSize, originalWidth);
-      const endY = Math.min(startY + cellSize, originalHeight);
+      const endX = Math.min(startX + cellSize, width);
+      const endY = Math.min(startY + cellSize, height);
       
-      // Calculate the most common color in the cell
-      const colors = {};
+      // Count the colors in the cell
+      colors.clear();
       for (let cellY = startY; cellY < endY; cellY++) {
         for (let cellX = startX; cellX < endX; cellX++) {
-          const index = (cellY * originalWidth + cellX) * 4;
-          const fs = `rgba(${data[index]}, ${data[index + 1]}, ${data[index + 2]}, 1)`;
-          colors[fs] ??= 0;
-          colors[fs]++;
+          const index = (cellY * width + cellX) * 4;
+          const color = (data[index] << 16) | (data[index + 1] << 8) | data[index + 2];
+          colors.set(color, (colors.get(color) ?? 0) + 1);
         }
       }
-      // get the most common color
+      // get the most common color, the first one found on a tie
       let maxCount = 0;
-      let mostCommonColor = null;
-      for (const color in colors) {
-        if (colors[color] > maxCount) {
-          maxCount = colors[color];
+      let mostCommonColor = 0;
+      for (const [color, count] of colors.entries()) {
+        if (count > maxCount) {
+          maxCount = count;
           mostCommonColor = color;
         }
       }
       // Set the most common color for the cell
-      targetCtx.fillStyle = mostCommonColor;
-      targetCtx.fillRect(startX, startY, endX - startX, endY - startY);
+      for (let cellY = startY; cellY < endY; cellY++) {
+        for (let cellX = startX; cellX < endX; cellX++) {
+          const index = (cellY * width + cellX) * 4;
+          data[index] = (mostCommonColor >> 16) & 0xFF;
+          data[index + 1] = (mostCommonColor >> 8) & 0xFF;
+          data[index + 2] = mostCommonColor & 0xFF;
+          data[index + 3] = 255;
+        }
+      }
     }
   }
-  
-  
-  
-  return targetCanvas;
-}
\ No newline at end of file
+}
+
+/**
+ * Set every pixel to the most common color in its hex, in place
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} width
+ * @param {number} height
+ * @param {HexLayout} layout
+ */
+function pixelizeHex(data, width, height, layout) {
+  console.log(`Pixelizing image: ${width}x${height} to hex cells (size: ${layout.size}px)`);
+
+  // find the cell of every pixel, and count the colors in each cell
+  const cellOf = new Array(width * height);
+  const cells = new Map();
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [row, col] = layout.cellAt(x + 0.5, y + 0.5);
+      const cellKey = `${row},${col}`;
+      cellOf[y * width + x] = cellKey;
+      const index = (y * width + x) * 4;
+      const color = (data[index] << 16) | (data[index + 1] << 8) | data[index + 2];
+      if (!cells.has(cellKey)) cells.set(cellKey, new Map());
+      const colors = cells.get(cellKey);
+      colors.set(color, (colors.get(color) ?? 0) + 1);
+    }
+  }
+
+  // get the most common color of each cell
+  const cellColor = new Map();
+  for (const [cellKey, colors] of cells.entries()) {
+    let maxCount = 0;
+    let mostCommonColor = 0;
+    for (const [color, count] of colors.entries()) {
+      if (count > maxCount) {
+        maxCount = count;
+        mostCommonColor = color;
+      }
+    }
+    cellColor.set(cellKey, mostCommonColor);
+  }
+
+  for (let i = 0; i < width * height; i++) {
+    const color = cellColor.get(cellOf[i]);
+    data[i * 4] = (color >> 16) & 0xFF;
+    data[i * 4 + 1] = (color >> 8) & 0xFF;
+    data[i * 4 + 2] = color & 0xFF;
+    data[i * 4 + 3] = 255;
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * Create a deterministic pseudo-random number generator (mulberry32).
+ * @param {number} seed - a 32-bit integer seed
+ * @returns {Function} a function returning numbers in [0, 1), like Math.random
+ */
+export function seededRandom(seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a new random seed, suitable for seededRandom
+ * @returns {number}
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
@@ -1,21 +1,27 @@
+import { readImage, writeImage } from "./ops.mjs";
+import { labCache, deltaE } from "./color.mjs";
+
 /**
  * Reassign the regions on the canvas to separate the inside of the structures from the outside.
- * @param {*} canvas 
- * @param {*} options 
+ * The outside colors are guessed from the image border, unless they are given explicitly.
+ * @param {HTMLCanvasElement|Object} canvas - The canvas or image buffer, changed in place
+ * @param {Object} options
+ * @param {number} options.colorThreshold - How far, as a perceptual ΔE, a color can be from an outside color and still be
+ *   outside; 0 for only the outside colors themselves
+ * @param {number} options.threshold - The share of the border a color needs to cover to count as outside
+ * @param {Array<Array<number>>} options.outside - Colors, as [r, g, b], that are always outside
+ * @param {Array<Array<number>>} options.inside - Colors, as [r, g, b], that are always inside
  */
 export async function separateInside(canvas, options) {
   const {
-    colorThreshold = 32,
+    colorThreshold = 20,
     threshold = 0.4,
+    outside = [],
+    inside = [],
   } = options;
   
-  const ctx = canvas.getContext('2d');
-  const width = canvas.width;
-  const height = canvas.height;
-  
-  // Get image data
-  const imageData = ctx.getImageData(0, 0, width, height);
-  const data = imageData.data;
+  const imageData = readImage(canvas);
+  const { data, width, height } = imageData;
   
   // Collect edge pixels
   const edgePixels = new Map(); // Maps color string to count
@@ -27,7 +33,7 @@ export async function separateInside(canvas, options) {
     const topIdx = (x + 0 * width) * 4;
     const topColor = `${data[topIdx]},${data[topIdx + 1]},${data[topIdx + 2]}`;
     edgePixels.set(topColor, (edgePixels.get(topColor) || 0) + 1);
-    
+  
     // Bottom edge
     const bottomIdx = (x + (height - 1) * width) * 4;
     const bottomColor = `${data[bottomIdx]},${data[bottomIdx + 1]},${data[bottomIdx + 2]}`;
@@ -40,7 +46,7 @@ export async function separateInside(canvas, options) {
     const leftIdx = (0 + y * width) * 4;
     const leftColor = `${data[leftIdx]},${data[leftIdx + 1]},${data[leftIdx + 2]}`;
     edgePixels.set(leftColor, (edgePixels.get(leftColor) || 0) + 1);
-    
+  
     // Right edge
     const rightIdx = ((width - 1) + y * width) * 4;
     const rightColor = `${data[rightIdx]},${data[rightIdx + 1]},${data[rightIdx + 2]}`;
@@ -55,22 +61,19 @@ export async function separateInside(canvas, options) {
     }
   }
   
+  const lab = labCache();
+  const toLab = ([r, g, b]) => lab(r, g, b);
+  const outsideLab = [...[...outsideColors].map(color => color.split(',').map(Number)), ...outside].map(toLab);
+  const insideLab = inside.map(toLab);
+  
   // Apply the transformation to the entire image
   for (let i = 0; i < data.length; i += 4) {
-    const pixelColor = `${data[i]},${data[i + 1]},${data[i + 2]}`;
-
-    // check if the pixel color is within colorThreshold of any outside color
-    let isOutside = outsideColors.some(outsideColor => {
-      const [r, g, b] = outsideColor.split(',').map(Number);
-      if (Math.abs(data[i] - r) <= colorThreshold &&
-          Math.abs(data[i + 1] - g) <= colorThreshold &&
-          Math.abs(data[i + 2] - b) <= colorThreshold) {
-        return true;
-      }
-      return false;
-    });
-    
-    if (outsideColors.has(pixelColor)) {
+    // check if the pixel color is within colorThreshold of any outside color, and isn't one of the inside colors
+    const pixel = lab(data[i], data[i + 1], data[i + 2]);
+    let isOutside = outsideLab.some(color => deltaE(pixel, color) <= colorThreshold) &&
+      !insideLab.some(color => deltaE(pixel, color) <= 1);
+  
+    if (isOutside) {
       // Set pixels that match the outside color to black
       data[i] = 0;     // R
       data[i + 1] = 0; // G
@@ -83,12 +86,9 @@ export async function separateInside(canvas, options) {
       data[i + 2] = 255; // B
       data[i + 3] = 255; // A
     }
-    
+  
     // Alpha channel remains unchanged
   }
   
-  // Put the modified image data back to the canvas
-  ctx.putImageData(imageData, 0, 0);
-  
-  return canvas;
+  return writeImage(canvas, imageData);
 }
\ No newline at end of file
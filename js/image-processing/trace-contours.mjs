@@ -0,0 +1,167 @@
+import { readImage } from "./ops.mjs";
+
+/**
+ * Trace the boundaries between the inside (white) and outside (black) regions of a mask, such as the one produced by
+ * separateInside, and simplify them into polylines.
+ *
+ * The boundaries follow the cracks between pixels on the pixel-corner lattice, walked with the inside on their left.
+ * The staircases this produces are then smoothed out by simplifyPolyline.
+ * @param {HTMLCanvasElement|OffscreenCanvas|Object} canvas - The mask, as a canvas or image buffer
+ * @param {Object} options - Configuration options
+ * @param {number} options.tolerance - How far, in pixels, the simplified polylines may stray from the boundary
+ * @param {number} options.threshold - Brightness above which a pixel is inside
+ * @returns {Array<Array<Array<number>>>} The polylines, as lists of [x, y] points (closed ones repeat the first point at the end)
+ */
+export function traceContours(canvas, options = {}) {
+  const {
+    tolerance = 2,
+    threshold = 128,
+  } = options;
+  const { data, width, height } = readImage(canvas);
+  const inside = (x, y) => data[(y * width + x) * 4] >= threshold;
+
+  // Collect the directed cracks between inside and outside pixels. The image border is not a boundary.
+  const outgoing = new Map(); // vertex key -> list of crack indices leaving that vertex
+  const cracks = [];
+  const vertexKey = (x, y) => y * (width + 1) + x;
+  const addCrack = (x1, y1, x2, y2) => {
+    const key = vertexKey(x1, y1);
+    if (!outgoing.has(key)) outgoing.set(key, []);
+    outgoing.get(key).push(cracks.length);
+    cracks.push([x1, y1, x2, y2]);
+  };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const here = inside(x, y);
+      if (x + 1 < width && here !== inside(x + 1, y)) {
+        // vertical crack at x + 1
+        if (here) addCrack(x + 1, y + 1, x + 1, y);
+        else addCrack(x + 1, y, x + 1, y + 1);
+      }
+      if (y + 1 < height && here !== inside(x, y + 1)) {
+        // horizontal crack at y + 1
+        if (here) addCrack(x, y + 1, x + 1, y + 1);
+        else addCrack(x + 1, y + 1, x, y + 1);
+      }
+    }
+  }
+
+  // Chain the cracks into contours. Where the image border cuts a contour it is open instead of closed, so walks start
+  // at the open ends first; otherwise an open contour would be split in two wherever its walk happened to start.
+  const incoming = new Map();
+  for (const [, , x2, y2] of cracks) {
+    const key = vertexKey(x2, y2);
+    incoming.set(key, (incoming.get(key) ?? 0) + 1);
+  }
+  const openEnds = [];
+  for (const [key, list] of outgoing.entries()) {
+    if (list.length > (incoming.get(key) ?? 0)) openEnds.push(...list);
+  }
+  const used = new Uint8Array(cracks.length);
+  const contours = [];
+  for (const start of [...openEnds, ...cracks.keys()]) {
+    if (used[start]) continue;
+    const points = [[cracks[start][0], cracks[start][1]]];
+    let current = start;
+    while (current !== undefined) {
+      used[current] = 1;
+      const [x1, y1, x2, y2] = cracks[current];
+      points.push([x2, y2]);
+      const next = (outgoing.get(vertexKey(x2, y2)) ?? []).filter(c => !used[c]);
+      // at a saddle, turn left so that diagonal neighbors are kept separate
+      const heading = [x2 - x1, y2 - y1];
+      next.sort((a, b) => turn(heading, cracks[b]) - turn(heading, cracks[a]));
+      current = next[0];
+    }
+    contours.push(simplifyPolyline(points, tolerance));
+  }
+
+  return contours.filter(c => c.length >= 2 && polylineLength(c) > tolerance * 2);
+}
+
+/**
+ * How much a crack turns left relative to a heading: 1 for left, 0 for straight, -1 for right
+ */
+function turn(heading, crack) {
+  const dx = crack[2] - crack[0];
+  const dy = crack[3] - crack[1];
+  // in screen coordinates (y down), a left turn has a negative cross product
+  return -Math.sign(heading[0] * dy - heading[1] * dx);
+}
+
+function polylineLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+  }
+  return length;
+}
+
+/**
+ * Simplify a polyline with the Ramer-Douglas-Peucker algorithm. Closed polylines (where the last point equals the first)
+ * are split at the point farthest from the start, so that the loop stays closed.
+ * @param {Array<Array<number>>} points - The polyline, as [x, y] points
+ * @param {number} tolerance - The maximum distance, in pixels, between the simplified and original polyline
+ * @returns {Array<Array<number>>} The simplified polyline
+ */
+export function simplifyPolyline(points, tolerance) {
+  if (points.length < 3) return points;
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (first[0] === last[0] && first[1] === last[1]) {
+    let farthest = 0;
+    let maxDist = -1;
+    for (let i = 1; i < points.length - 1; i++) {
+      const dist = Math.hypot(points[i][0] - first[0], points[i][1] - first[1]);
+      if (dist > maxDist) {
+        maxDist = dist;
+        farthest = i;
+      }
+    }
+    const a = douglasPeucker(points.slice(0, farthest + 1), tolerance);
+    const b = douglasPeucker(points.slice(farthest), tolerance);
+    return [...a, ...b.slice(1)];
+  }
+  return douglasPeucker(points, tolerance);
+}
+
+function douglasPeucker(points, tolerance) {
+  if (points.length < 3) return points;
+  const [x1, y1] = points[0];
+  const [x2, y2] = points[points.length - 1];
+  const length = Math.hypot(x2 - x1, y2 - y1);
+  let maxDist = 0;
+  let index = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const [x, y] = points[i];
+    const dist = length === 0
+      ? Math.hypot(x - x1, y - y1)
+      : Math.abs((y2 - y1) * x - (x2 - x1) * y + x2 * y1 - y2 * x1) / length;
+    if (dist > maxDist) {
+      maxDist = dist;
+      index = i;
+    }
+  }
+  if (maxDist <= tolerance) return [points[0], points[points.length - 1]];
+  const left = douglasPeucker(points.slice(0, index + 1), tolerance);
+  const right = douglasPeucker(points.slice(index), tolerance);
+  return [...left, ...right.slice(1)];
+}
+
+/**
+ * Convert polylines into wall segments
+ * @param {Array<Array<Array<number>>>} polylines
+ * @returns {Array<Array<number>>} The walls, as [x1, y1, x2, y2]
+ */
+export function polylinesToWalls(polylines) {
+  const walls = [];
+  for (const points of polylines) {
+    for (let i = 1; i < points.length; i++) {
+      const [x1, y1] = points[i - 1];
+      const [x2, y2] = points[i];
+      if (x1 === x2 && y1 === y2) continue;
+      walls.push([x1, y1, x2, y2]);
+    }
+  }
+  return walls;
+}
@@ -0,0 +1,271 @@
+import { withImage, readImage } from "./ops.mjs";
+
+/**
+ * Where walls can be placed on thick wall art:
+ *  - "detected": wherever separateInside put the boundary, which depends on the color of the art
+ *  - "inner": along the edge of the floor, so that tokens can't step or see into the art
+ *  - "center": along the middle of the art
+ *  - "outer": along the far side of the art
+ */
+export const WALL_PLACEMENTS = ["detected", "inner", "center", "outer"];
+
+// chamfer distances, for steps straight and diagonally
+const STRAIGHT = 1;
+const DIAGONAL = Math.SQRT2;
+
+/**
+ * Move the boundary of an inside mask (such as the one produced by separateInside) to the chosen side of thick wall
+ * art. Whether the art ended up inside or outside depends on its color, so the thickness of the art is measured first
+ * (see measureWallThickness), and if there is any, the boundary is pulled back to the edge of the floor, by taking
+ * away the patches of art inside that join onto the outside and are no more than twice as thick as the walls. For "center" and
+ * "outer", the floor is then grown back out by half or all of the wall thickness. Rooms are never grown into each
+ * other: where two would meet, a strip of separation is left between them, so that they keep their walls.
+ * @param {HTMLCanvasElement|Object} canvas - The inside mask, as a canvas or image buffer, changed in place
+ * @param {HTMLCanvasElement|Object} segmented - The image after segmentation, to tell the floor from the art
+ * @param {Object} options
+ * @param {string} options.placement - One of WALL_PLACEMENTS
+ * @param {Array<Array<number>>} options.floor - The colors, as [r, g, b], of the floor
+ * @param {number} options.maxThickness - The thickest wall art expected, in pixels
+ * @param {number} options.separation - How wide a strip, in pixels, to leave between rooms that are grown together
+ * @param {number} options.threshold - Brightness above which a pixel of the mask is inside
+ * @returns {HTMLCanvasElement|Object} The canvas or image buffer
+ */
+export function placeWalls(canvas, segmented, options) {
+  const {
+    placement = "inner",
+    floor = [],
+    maxThickness = 16,
+    separation = 4,
+    threshold = 128,
+  } = options;
+  if (placement === "detected") return canvas;
+  const colors = readImage(segmented);
+
+  return withImage(canvas, (mask) => {
+    const { data, width, height } = mask;
+    const size = width * height;
+    const floorKeys = new Set(floor.map(([r, g, b]) => (r << 16) | (g << 8) | b));
+    const inside = new Uint8Array(size);
+    const isFloor = new Uint8Array(size);
+    for (let i = 0; i < size; i++) {
+      inside[i] = data[i * 4] >= threshold ? 1 : 0;
+      isFloor[i] = floorKeys.has((colors.data[i * 4] << 16) | (colors.data[i * 4 + 1] << 8) | colors.data[i * 4 + 2]) ? 1 : 0;
+    }
+
+    // maps without thick wall art are left as they are
+    const thickness = measureWallThickness(isFloor, inside, colors, { maxThickness });
+    if (thickness === 0) return mask;
+
+    // take away the art that joins onto the outside; patches that go well beyond the thickness of the walls (such as a
+    // rug, or a second floor color) are kept whole
+    const inner = inside.slice();
+    const patch = new Int32Array(size);
+    const depth = new Int32Array(size).fill(-1);
+    let patches = 0;
+    for (let start = 0; start < size; start++) {
+      if (!inside[start] || isFloor[start] || patch[start]) continue;
+      patches++;
+      patch[start] = patches;
+      const members = [start];
+      const layer = [];
+      for (let head = 0; head < members.length; head++) {
+        const i = members[head];
+        if (neighbors(i, width, height).some(n => !inside[n])) {
+          depth[i] = 1;
+          layer.push(i);
+        }
+        for (const n of neighbors(i, width, height)) {
+          if (inside[n] && !isFloor[n] && !patch[n]) {
+            patch[n] = patches;
+            members.push(n);
+          }
+        }
+      }
+      if (layer.length === 0) continue;
+      let deepest = 1;
+      for (let head = 0; head < layer.length; head++) {
+        const i = layer[head];
+        for (const n of neighbors(i, width, height, true)) {
+          if (patch[n] === patches && depth[n] < 0) {
+            depth[n] = depth[i] + 1;
+            deepest = Math.max(deepest, depth[n]);
+            layer.push(n);
+          }
+        }
+      }
+      if (deepest <= 2 * thickness) {
+        for (const i of members) inner[i] = 0;
+      }
+    }
+
+    const distance = { inner: 0, center: thickness / 2, outer: thickness }[placement] ?? 0;
+    const grown = distance > 0 ? growRooms(inner, width, height, distance, separation) : inner;
+    for (let i = 0; i < size; i++) {
+      const value = grown[i] ? 255 : 0;
+      data[i * 4] = value;
+      data[i * 4 + 1] = value;
+      data[i * 4 + 2] = value;
+      data[i * 4 + 3] = 255;
+    }
+    return mask;
+  });
+}
+
+/**
+ * Measure the typical thickness of the wall art around the floor. Along every row and column, each run of art that
+ * starts at the floor is measured until it reaches floor again, or changes color (to the void beyond the art). Only
+ * runs that take in some of the outside count, since specks and lines drawn on the floor are inside. Runs that reach
+ * the edge of the image, or are thicker than maxThickness, can't be told apart from the void, so are left out too. The
+ * median of the rest is the thickness.
+ * @param {Uint8Array} floor - 1 for each pixel of floor, 0 elsewhere
+ * @param {Uint8Array} inside - 1 for each pixel inside, 0 elsewhere
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} segmented - The image after segmentation
+ * @param {Object} options
+ * @param {number} options.maxThickness - The thickest wall art expected, in pixels
+ * @returns {number} The thickness, in pixels, or 0 if no art could be measured
+ */
+export function measureWallThickness(floor, inside, segmented, { maxThickness }) {
+  const { data, width, height } = segmented;
+  const color = (i) => (data[i * 4] << 16) | (data[i * 4 + 1] << 8) | data[i * 4 + 2];
+  const runs = [];
+  const measure = (length, index) => {
+    // walk a line of pixels both ways, measuring the runs of art that start next to the floor
+    for (const direction of [1, -1]) {
+      const start = direction > 0 ? 0 : length - 1;
+      for (let p = start; p >= 0 && p < length; p += direction) {
+        if (floor[index(p)] || p === start || !floor[index(p - direction)]) continue;
+        const artColor = color(index(p));
+        let run = 0;
+        let outside = false;
+        let q = p;
+        while (q >= 0 && q < length && !floor[index(q)] && color(index(q)) === artColor && run <= maxThickness) {
+          outside ||= !inside[index(q)];
+          run++;
+          q += direction;
+        }
+        const reachedEdge = q < 0 || q >= length;
+        const reachedFloor = !reachedEdge && floor[index(q)];
+        if (!reachedEdge && !reachedFloor) outside ||= !inside[index(q)];
+        // stopping at floor counts the same from both sides, so only count it one way
+        if (outside && run <= maxThickness && !reachedEdge && !(reachedFloor && direction < 0)) runs.push(run);
+        p = q - direction;
+      }
+    }
+  };
+  for (let y = 0; y < height; y++) measure(width, (x) => y * width + x);
+  for (let x = 0; x < width; x++) measure(height, (y) => y * width + x);
+
+  if (runs.length === 0) return 0;
+  runs.sort((a, b) => a - b);
+  return runs[Math.floor(runs.length / 2)];
+}
+
+/**
+ * Grow each room (connected region) of a mask outwards, without letting rooms merge
+ * @param {Uint8Array} inner - 1 for each pixel of a room, 0 elsewhere
+ * @param {number} width
+ * @param {number} height
+ * @param {number} distance - How far to grow, in pixels
+ * @param {number} separation - How wide a strip to leave where two rooms would meet, in pixels
+ * @returns {Uint8Array} the grown mask
+ */
+function growRooms(inner, width, height, distance, separation) {
+  const size = width * height;
+
+  // label the rooms
+  const labels = new Int32Array(size);
+  let label = 0;
+  for (let start = 0; start < size; start++) {
+    if (!inner[start] || labels[start]) continue;
+    label++;
+    labels[start] = label;
+    const queue = [start];
+    for (let head = 0; head < queue.length; head++) {
+      for (const n of neighbors(queue[head], width, height)) {
+        if (inner[n] && !labels[n]) {
+          labels[n] = label;
+          queue.push(n);
+        }
+      }
+    }
+  }
+
+  // the distance to the nearest room, and which room that is
+  const fromRoom = chamferDistance(width, height, (i) => labels[i] > 0, labels);
+  // where rooms meet, and the distance to those places
+  const seam = (i) => fromRoom.labels[i] > 0 &&
+    neighbors(i, width, height).some(n => fromRoom.labels[n] > 0 && fromRoom.labels[n] !== fromRoom.labels[i]);
+  const fromSeam = chamferDistance(width, height, seam);
+
+  const grown = new Uint8Array(size);
+  for (let i = 0; i < size; i++) {
+    grown[i] = inner[i] || (fromRoom.distances[i] <= distance && fromSeam.distances[i] > separation / 2) ? 1 : 0;
+  }
+  return grown;
+}
+
+/**
+ * The approximate Euclidean distance from every pixel to the nearest source pixel, by a two pass chamfer transform
+ * @param {number} width
+ * @param {number} height
+ * @param {Function} isSource - called with a pixel index
+ * @param {Int32Array} [sourceLabels] - if given, the label of each source pixel, which is carried to every pixel
+ *   nearest to it
+ * @returns {{ distances: Float32Array, labels: Int32Array }}
+ */
+function chamferDistance(width, height, isSource, sourceLabels = null) {
+  const size = width * height;
+  const distances = new Float32Array(size);
+  const labels = new Int32Array(size);
+  for (let i = 0; i < size; i++) {
+    distances[i] = isSource(i) ? 0 : Infinity;
+    if (sourceLabels) labels[i] = sourceLabels[i];
+  }
+  const relax = (i, x, y, dx, dy, cost) => {
+    const nx = x + dx;
+    const ny = y + dy;
+    if (nx < 0 || ny < 0 || nx >= width || ny >= height) return;
+    const n = ny * width + nx;
+    if (distances[n] + cost < distances[i]) {
+      distances[i] = distances[n] + cost;
+      labels[i] = labels[n];
+    }
+  };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      relax(i, x, y, -1, 0, STRAIGHT);
+      relax(i, x, y, 0, -1, STRAIGHT);
+      relax(i, x, y, -1, -1, DIAGONAL);
+      relax(i, x, y, 1, -1, DIAGONAL);
+    }
+  }
+  for (let y = height - 1; y >= 0; y--) {
+    for (let x = width - 1; x >= 0; x--) {
+      const i = y * width + x;
+      relax(i, x, y, 1, 0, STRAIGHT);
+      relax(i, x, y, 0, 1, STRAIGHT);
+      relax(i, x, y, 1, 1, DIAGONAL);
+      relax(i, x, y, -1, 1, DIAGONAL);
+    }
+  }
+  return { distances, labels };
+}
+
+/**
+ * The indices of the 4-connected (or, with diagonals, 8-connected) neighbors of a pixel
+ */
+function neighbors(i, width, height, diagonals = false) {
+  const x = i % width;
+  const y = Math.floor(i / width);
+  const result = [];
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      if ((dx === 0 && dy === 0) || (!diagonals && dx !== 0 && dy !== 0)) continue;
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx >= 0 && ny >= 0 && nx < width && ny < height) result.push(ny * width + nx);
+    }
+  }
+  return result;
+}
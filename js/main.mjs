@@ -1,5 +1,7 @@
 
 import * as controls from "./controls.mjs";
+import * as settings from "./settings.mjs";
+import * as api from "./api.mjs";
 
 function early_isGM() {
 	const level = game.data.users.find(u => u._id == game.data.userId).role;
@@ -8,6 +10,9 @@ function early_isGM() {
 }
 
 Hooks.on("init", () => {
+  // the API is there for everyone, so that macros get a clear error rather than nothing; changing walls checks for a GM
+  settings.register();
+  api.register();
   if (!early_isGM()) return;
   controls.register();
 });
\ No newline at end of file
@@ -0,0 +1,502 @@
+import * as imp from "./image-processing/_module.mjs";
+
+/**
+ * The stages of the wall detection pipeline, in the order they run. Used for progress reporting.
+ */
+export const STAGES = [
+  "load",
+  "tune",
+  "segment",
+  "despeckle",
+  "separate",
+  "place",
+  "pixelize",
+  "trace",
+  "edges",
+  "internalWalls",
+  "identify",
+  "doors",
+  "terrain",
+  "preview",
+];
+
+/**
+ * The color doors are drawn in on the preview
+ */
+export const DOOR_COLOR = "orange";
+
+/**
+ * The color the region of interest is outlined in on the preview
+ */
+export const REGION_COLOR = "deepskyblue";
+
+/**
+ * The roles a color cluster can be given. "auto" leaves it to the image border to decide between floor and solid.
+ * Solid clusters are outside, and the rest inside; water and chasm regions inside also get walls of their own.
+ */
+export const CLUSTER_ROLES = ["auto", "floor", "solid", "water", "chasm"];
+
+/**
+ * The roles whose regions get walls of their own. Where two of them meet, the wall belongs to the first.
+ */
+const TERRAIN_ROLES = ["water", "chasm"];
+
+/**
+ * The colors the walls of each terrain role are drawn in on the preview
+ */
+export const ROLE_COLORS = {
+  water: "dodgerblue",
+  chasm: "mediumpurple",
+};
+
+/**
+ * How far, in RGB, a cluster's color can be from the color a role was given to, and still get that role. Clusters
+ * shift a little when the seed or settings change, so roles are matched by color rather than by cluster number.
+ */
+const ROLE_MATCH_DISTANCE = 24;
+
+/**
+ * The role of a color cluster
+ * @param {Array<number>} color - the cluster's color, as [r, g, b]
+ * @param {Array<Object>} clusterRoles - the roles given to colors, as { color: [r, g, b], role }
+ * @returns {string} one of CLUSTER_ROLES
+ */
+export function clusterRole(color, clusterRoles = []) {
+  let role = "auto";
+  let bestDistance = ROLE_MATCH_DISTANCE;
+  for (const entry of clusterRoles) {
+    const distance = Math.hypot(entry.color[0] - color[0], entry.color[1] - color[1], entry.color[2] - color[2]);
+    if (distance <= bestDistance) {
+      role = entry.role;
+      bestDistance = distance;
+    }
+  }
+  return role;
+}
+
+/**
+ * Run the wall detection pipeline on an image. This has no dependency on Foundry, so that it can run inside a worker.
+ * @param {Object} params - the analyseImage params, and:
+ * @param {Array<Object>} params.layers - the images to composite and analyse, bottom first (see layersToCanvas)
+ * @param {number} params.width - width of the analysed area, in image pixels
+ * @param {number} params.height - height of the analysed area, in image pixels
+ * @param {boolean} [params.previewWalls=true] - whether to draw the walls on the preview, or leave that to the caller
+ * @param {Array<Object>} [params.stages] - extra stages, given by module URL rather than function (see loadStages)
+ * @param {Function} [onProgress] - called with { stage, index, total } as each stage starts
+ * @returns {Promise<{ walls: number[][], doors: number[][], terrain: Object<string, number[][]>, palette: number[][], clusters: Object, tuned: Object, preview: HTMLCanvasElement|OffscreenCanvas }>}
+ *   the analyseImage result, and the preview: the image with the walls drawn on it
+ */
+export async function runPipeline(params, onProgress = ()=>{}) {
+  const {
+    layers,
+    width,
+    height,
+    region = null,
+    previewWalls = true,
+    stages = [],
+    // debug
+    nowalls = false,
+  } = params;
+  const progress = stageReporter(onProgress);
+
+  progress("load");
+  const canvas = await imp.layersToCanvas(layers, { width, height });
+  const result = await analyseImage(imp.readImage(canvas), { ...params, stages: await loadStages(stages) }, onProgress);
+
+  // the analysis works on a copy of the image, so the canvas still has the original on it
+  if (!nowalls) {
+    progress("preview");
+    if (region) imp.drawWalls(canvas, imp.polygonToSegments(region), { color: REGION_COLOR });
+    if (previewWalls) {
+      imp.drawWalls(canvas, result.walls);
+      imp.drawWalls(canvas, result.doors, { color: DOOR_COLOR });
+      for (const [role, segments] of Object.entries(result.terrain)) {
+        imp.drawWalls(canvas, segments, { color: ROLE_COLORS[role] });
+      }
+    }
+  }
+
+  return { ...result, preview: canvas };
+}
+
+/**
+ * Find the walls in an image. Unlike runPipeline, this only needs the image buffer, so it also runs in Node.
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} image - the image to analyse, which is left as is
+ * @param {Object} params
+ * @param {number} params.cellSize - size of a cell of the lattice walls snap to, in image pixels
+ * @param {number} [params.subCellScale=1] - how many lattice cells there are across a grid cell, so that walls can snap
+ *   to fractions of a cell; sizes given in grid cells, like despeckle, are still measured in whole grid cells
+ * @param {number} [params.k=10] - the number of color clusters
+ * @param {number} [params.colorThreshold=20] - how far, as a perceptual ΔE, a color can be from the outside color and still
+ *   be outside
+ * @param {string} [params.colorSpace="lab"] - the color space to cluster colors in: "rgb", "lab" or "hsv"
+ * @param {number} [params.spatialWeight=0] - how much a pixel's position counts next to its color when clustering, so
+ *   that distant areas of the same color can end up in different clusters; 0 to cluster by color alone
+ * @param {boolean} [params.autoTune=false] - whether to choose k and colorThreshold from the image instead
+ * @param {number} [params.despeckle=0.5] - the area, in grid cells, below which specks of color and holes in the inside
+ *   region are removed; 0 to keep everything
+ * @param {number} [params.seed] - seed for the k-means initialization, for reproducible results
+ * @param {boolean} [params.detectDoors=true] - whether to look for doorways and door art
+ * @param {Object} [params.hex] - the HexLayout options, if the scene uses a hex grid
+ * @param {string} [params.mode="grid"] - "grid" to snap walls to cell edges, or "trace" to trace the outline of the
+ *   inside region at any angle
+ * @param {number} [params.traceTolerance=0.25] - in trace mode, how far (in cells) walls may stray from the outline
+ * @param {Array<number>} [params.region] - if set, only keep walls inside this polygon, as [x1, y1, x2, y2, ...]
+ * @param {string} [params.edgeAlgorithm="kovalevsky"] - the edge detector for both the region and internal walls passes:
+ *   "kovalevsky", "canny", or "none" (outline the inside region directly, and skip the internal walls pass)
+ * @param {number} [params.edgeThreshold=25] - the Kovalevsky edge threshold (0-255)
+ * @param {number} [params.cannyLowThreshold=40] - the Canny hysteresis low threshold (0-255)
+ * @param {number} [params.cannyHighThreshold=70] - the Canny hysteresis high threshold (0-255)
+ * @param {Array<Object>} [params.clusterRoles] - the roles given to color clusters, as { color: [r, g, b], role } (see
+ *   clusterRole)
+ * @param {string} [params.wallPlacement="detected"] - which side of thick wall art to put walls on: "inner", "center" or
+ *   "outer", or "detected" to leave them where separateInside put them (see placeWalls)
+ * @param {Array<Object>} [params.stages] - extra stages to run, or to run instead of built-in ones, as
+ *   { id, run, before, after, replace } (see stageRunner)
+ * @param {Function} [onProgress] - called with { stage, index, total } as each stage starts
+ * @returns {Promise<{ walls: number[][], doors: number[][], terrain: Object<string, number[][]>, palette: number[][], clusters: Object, tuned: Object }>}
+ *   walls, doors and the walls of each terrain role in image pixel coordinates, the color of each cluster, which
+ *   cluster each pixel belongs to (see clusterMap), and the { k, colorThreshold } chosen by autoTune (or null)
+ */
+export async function analyseImage(image, params, onProgress = ()=>{}) {
+  const {
+    cellSize,
+    subCellScale = 1,
+    internalWalls = false,
+    k: fixedK = 10,
+    colorThreshold: fixedColorThreshold = 20,
+    colorSpace = "lab",
+    spatialWeight = 0,
+    autoTune = false,
+    despeckle = 0.5,
+    seed,
+    detectDoors = true,
+    hex = null,
+    mode = "grid",
+    traceTolerance = 0.25,
+    region = null,
+    edgeAlgorithm = "kovalevsky",
+    edgeThreshold = 25,
+    cannyLowThreshold = 40,
+    cannyHighThreshold = 70,
+    clusterRoles = [],
+    wallPlacement = "detected",
+    stages = [],
+    // debug
+    edgeDetection = true,
+    pixelize = true,
+  } = params;
+  const { width, height } = image;
+  const gridSize = cellSize * subCellScale;
+  const progress = stageReporter(onProgress);
+  const detectEdges = (target, thinning)=>{
+    switch (edgeAlgorithm) {
+      case "canny":
+        return imp.cannyEdgeDetection(target, { lowThreshold: cannyLowThreshold, highThreshold: cannyHighThreshold });
+      case "none":
+        return imp.outlineMask(target);
+      case "kovalevsky":
+      default:
+        return imp.kovalevskiyEdgeDetection(target, { threshold: edgeThreshold, thinning });
+    }
+  };
+
+  // what the stages work on, and what they found; registered stages get this too (see stageRunner)
+  const state = {
+    params,
+    original: image,
+    working: imp.copyImage(image),
+    k: fixedK,
+    colorThreshold: fixedColorThreshold,
+    palette: [],
+    segmented: null,
+    insideMask: null,
+    walls: [],
+    doors: [],
+    terrain: {},
+  };
+  const { original, working } = state;
+  const stage = stageRunner(stages, state, progress);
+
+  if (autoTune) {
+    await stage("tune", ()=>{
+      ({ k: state.k, colorThreshold: state.colorThreshold } = imp.chooseKMeansParameters(working, { seed, colorSpace, spatialWeight }));
+    });
+  }
+
+  await stage("segment", ()=>{
+    state.palette = imp.kMeansImageSegmentation(working, { k: state.k, seed, colorSpace, spatialWeight });
+  });
+  const { palette } = state;
+  const roles = palette.map(color=>clusterRole(color, clusterRoles));
+  const colorsWithRole = (...wanted)=>palette.filter((color, i)=>wanted.includes(roles[i]));
+
+  // furniture, rubble and rugs would otherwise turn into tiny boxes of walls
+  const minRegionSize = Math.round(despeckle * gridSize * gridSize);
+  if (minRegionSize > 0) {
+    await stage("despeckle", ()=>{
+      imp.removeSmallRegions(working, { maxRegionSize: minRegionSize });
+    });
+  }
+  const segmented = imp.copyImage(working);
+  const clusters = clusterMap(segmented, palette);
+  state.segmented = segmented;
+
+  const separate = async ()=>{
+    await stage("separate", async ()=>{
+      await imp.separateInside(working, {
+        colorThreshold: state.colorThreshold,
+        threshold: 0.4, // TODO: threshold should be based on K?
+        outside: colorsWithRole("solid"),
+        inside: colorsWithRole("floor", ...TERRAIN_ROLES),
+      });
+      if (minRegionSize > 0) imp.removeSmallHoles(working, { maxHoleSize: minRegionSize, threshold: 128 });
+      await imp.applyMedianFilter(working, 5);
+    });
+
+    if (wallPlacement !== "detected") {
+      await stage("place", ()=>{
+        imp.placeWalls(working, segmented, {
+          placement: wallPlacement,
+          floor: floorColors(working, clusters, palette, roles),
+          // the art of even thick walls is well under a grid cell across
+          maxThickness: Math.round(gridSize / 2),
+          separation: cellSize,
+        });
+      });
+    }
+  };
+
+  if (mode === "trace") {
+    await separate();
+    state.insideMask = imp.copyImage(working);
+    await stage("trace", ()=>{
+      const polylines = imp.traceContours(working, { tolerance: traceTolerance * gridSize });
+      state.walls = imp.polylinesToWalls(polylines);
+    });
+  } else {
+    if (pixelize) {
+      await separate();
+      await stage("pixelize", ()=>{
+        imp.pixelizeNearest(working, { cellSize, hex });
+      });
+      state.insideMask = imp.copyImage(working);
+    }
+
+    // Find the edges of the squares
+    if (edgeDetection) {
+      await stage("edges", async ()=>{
+        await detectEdges(working, false);
+        await imp.applyMedianFilter(working, 3);
+      });
+    }
+
+    // outlining only works on a clean mask, not on the original image
+    if (internalWalls && edgeAlgorithm !== "none") {
+      await stage("internalWalls", async ()=>{
+        const edges = imp.copyImage(original);
+        await detectEdges(edges, true);
+        imp.lighten(working, edges);
+        await imp.applyBrightenFilter(working, 3);
+      });
+    }
+
+    await stage("identify", ()=>{
+      state.walls = imp.identifyWalls(working, cellSize, { threshold: 50, hex });
+    });
+    // door detection works on square cell edges only
+    if (detectDoors && !hex) {
+      await stage("doors", ()=>{
+        // a doorway is up to a grid cell wide, however finely it is split
+        ({ walls: state.walls, doors: state.doors } = imp.identifyDoors(original, state.walls, cellSize, {
+          maxGapCells: subCellScale,
+          insideMask: state.insideMask,
+        }));
+      });
+    }
+  }
+
+  if (TERRAIN_ROLES.some(role=>roles.includes(role))) {
+    await stage("terrain", async ()=>{
+      const { insideMask, terrain } = state;
+      // how far to either side of a wall to look, to see what it separates
+      const sideDistance = mode === "trace" ? traceTolerance * gridSize + 1 : cellSize / 2;
+      // the brightness of a mask at a point, or null off the image
+      const brightness = (mask, x, y)=>{
+        x = Math.round(x);
+        y = Math.round(y);
+        if (x < 0 || y < 0 || x >= width || y >= height) return null;
+        return mask.data[(y * width + x) * 4];
+      };
+      const isOutside = (x, y)=>insideMask !== null && brightness(insideMask, x, y) !== null && brightness(insideMask, x, y) < 128;
+      const earlierMasks = [];
+      for (const role of TERRAIN_ROLES) {
+        const colors = colorsWithRole(role);
+        if (colors.length === 0) continue;
+        const mask = roleMask(segmented, colors);
+        await imp.applyMedianFilter(mask, 5);
+        let found;
+        let filled;
+        if (mode === "trace") {
+          filled = imp.copyImage(mask);
+          found = imp.polylinesToWalls(imp.traceContours(mask, { tolerance: traceTolerance * gridSize }));
+        } else {
+          imp.pixelizeNearest(mask, { cellSize, hex });
+          filled = imp.copyImage(mask);
+          imp.outlineMask(mask);
+          found = imp.identifyWalls(mask, cellSize, { threshold: 50, hex });
+        }
+        // the outside already has solid walls around it, and the roles before this one have their own walls
+        terrain[role] = found.filter(([x1, y1, x2, y2])=>{
+          const length = Math.hypot(x2 - x1, y2 - y1);
+          const nx = -(y2 - y1) / length * sideDistance;
+          const ny = (x2 - x1) / length * sideDistance;
+          const mx = (x1 + x2) / 2;
+          const my = (y1 + y2) / 2;
+          return [[mx + nx, my + ny], [mx - nx, my - ny]].every(([x, y])=>
+            !isOutside(x, y) && !earlierMasks.some(m=>brightness(m, x, y) >= 128));
+        });
+        earlierMasks.push(filled);
+      }
+    });
+  }
+
+  let { walls, doors } = state;
+  const { terrain } = state;
+  if (region) {
+    walls = imp.clipSegmentsToPolygon(walls, region);
+    doors = imp.clipSegmentsToPolygon(doors, region);
+    for (const role of Object.keys(terrain)) terrain[role] = imp.clipSegmentsToPolygon(terrain[role], region);
+  }
+
+  const tuned = autoTune ? { k: state.k, colorThreshold: state.colorThreshold } : null;
+  return { walls, doors, terrain, palette, clusters, tuned };
+}
+
+/**
+ * The stages that registered stages can be run before, after or instead of: those of analyseImage, but not the loading
+ * and preview that runPipeline does around it
+ */
+export const EXTENSIBLE_STAGES = STAGES.filter(stage=>stage !== "load" && stage !== "preview");
+
+/**
+ * Check that a registered stage runs before, after or instead of exactly one of EXTENSIBLE_STAGES
+ * @param {Object} stage - { id, before, after, replace }
+ * @throws {Error} if it doesn't
+ */
+export function validateStage({ id, before, after, replace }) {
+  const positions = [before, after, replace].filter(position=>position !== undefined);
+  if (positions.length !== 1 || !EXTENSIBLE_STAGES.includes(positions[0])) {
+    throw new Error(`Pipeline stage "${id}" must run before, after or instead of one of: ${EXTENSIBLE_STAGES.join(", ")}`);
+  }
+}
+
+/**
+ * Run the built-in stages of analyseImage along with registered ones. A registered stage is { id, run } and one of
+ * before, after or replace, naming one of EXTENSIBLE_STAGES; it runs before, after or instead of that stage, and only
+ * if that stage runs at all. run is called with the analysis state, and may be async. The state holds the params, the
+ * original image (which is left as is), the working image (which stages change in place), and what the stages so far
+ * have found: k and colorThreshold (tune), the palette (segment), the segmented image (despeckle), the insideMask
+ * (separate, then pixelize or trace), walls (identify or trace), doors (doors) and terrain walls (terrain). A stage
+ * that replaces a built-in one is expected to fill in what that one would have.
+ * @param {Array<Object>} stages - the registered stages, run in order where several share a position
+ * @param {Object} state - the analysis state
+ * @param {Function} progress - reports the start of a stage, by name
+ * @returns {Function} called with the name of a built-in stage and a function that runs it
+ */
+function stageRunner(stages, state, progress) {
+  stages.forEach(validateStage);
+  const at = (key, name)=>stages.filter(stage=>stage[key] === name);
+  return async (name, builtin)=>{
+    progress(name);
+    for (const stage of at("before", name)) await stage.run(state);
+    const replacements = at("replace", name);
+    if (replacements.length > 0) {
+      for (const stage of replacements) await stage.run(state);
+    } else {
+      await builtin();
+    }
+    for (const stage of at("after", name)) await stage.run(state);
+  };
+}
+
+/**
+ * Load the stages registered on the main thread, which can only pass the URL of a module to the worker, not a function
+ * @param {Array<Object>} stages - { id, module, exportName, before, after, replace }; module is the module's URL, and
+ *   exportName the export that runs the stage (the default export if not given)
+ * @returns {Promise<Array<Object>>} the stages, with run set to the exported function, ready for analyseImage
+ */
+async function loadStages(stages) {
+  return Promise.all(stages.map(async ({ module, exportName = "default", ...stage })=>{
+    const run = (await import(module))[exportName];
+    if (typeof run !== "function") throw new Error(`Pipeline stage "${stage.id}": ${module} has no function ${exportName}`);
+    return { ...stage, run };
+  }));
+}
+
+/**
+ * Report the start of each stage to an onProgress callback
+ * @param {Function} onProgress - called with { stage, index, total }
+ * @returns {Function} called with the name of the stage
+ */
+function stageReporter(onProgress) {
+  return (stage)=>onProgress({ stage, index: STAGES.indexOf(stage), total: STAGES.length });
+}
+
+/**
+ * The colors of the floor: the clusters given a floor or terrain role, and whichever other cluster covers the most of
+ * the inside
+ * @param {{ data: Uint8ClampedArray }} insideMask - white inside, black outside
+ * @param {Object} clusters - which cluster each pixel belongs to (see clusterMap)
+ * @param {Array<Array<number>>} palette - the color of each cluster, as [r, g, b]
+ * @param {Array<string>} roles - the role of each cluster
+ * @returns {Array<Array<number>>} [r, g, b] for each floor cluster
+ */
+function floorColors(insideMask, clusters, palette, roles) {
+  const counts = new Array(palette.length).fill(0);
+  for (let i = 0; i < clusters.data.length; i++) {
+    if (insideMask.data[i * 4] >= 128 && clusters.data[i] < palette.length) counts[clusters.data[i]]++;
+  }
+  let main = -1;
+  for (let i = 0; i < palette.length; i++) {
+    if (roles[i] === "auto" && counts[i] > 0 && (main < 0 || counts[i] > counts[main])) main = i;
+  }
+  return palette.filter((color, i)=>i === main || ["floor", ...TERRAIN_ROLES].includes(roles[i]));
+}
+
+/**
+ * Which cluster each pixel of a segmented image belongs to
+ * @param {ImageData} segmented - the image after k-means segmentation
+ * @param {Array<Array<number>>} palette - the color of each cluster, as [r, g, b]
+ * @returns {{ data: Uint8Array, width: number, height: number }} the index of each pixel's cluster in the palette, or 255
+ *   if it matches none
+ */
+function clusterMap(segmented, palette) {
+  const { width, height, data } = segmented;
+  const indices = new Map(palette.map(([r, g, b], index)=>[(r << 16) | (g << 8) | b, index]));
+  const map = new Uint8Array(width * height);
+  for (let i = 0; i < map.length; i++) {
+    map[i] = indices.get((data[i * 4] << 16) | (data[i * 4 + 1] << 8) | data[i * 4 + 2]) ?? 255;
+  }
+  return { data: map, width, height };
+}
+
+/**
+ * A mask of the pixels of a segmented image that have one of the given colors
+ * @param {ImageData} segmented - the image after k-means segmentation
+ * @param {Array<Array<number>>} colors - the cluster colors, as [r, g, b]
+ * @returns {{ data: Uint8ClampedArray, width: number, height: number }} white where the image has one of the colors, black elsewhere
+ */
+function roleMask(segmented, colors) {
+  const { width, height, data } = segmented;
+  const keys = new Set(colors.map(([r, g, b])=>(r << 16) | (g << 8) | b));
+  const mask = imp.createImage(width, height);
+  for (let i = 0; i < data.length; i += 4) {
+    const value = keys.has((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]) ? 255 : 0;
+    mask.data[i] = value;
+    mask.data[i + 1] = value;
+    mask.data[i + 2] = value;
+    mask.data[i + 3] = 255;
+  }
+  return mask;
+}
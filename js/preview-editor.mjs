@@ -0,0 +1,247 @@
+import { distanceToSegment, drawWalls, HexLayout } from "./image-processing/_module.mjs";
+import { DOOR_COLOR, ROLE_COLORS } from "./pipeline.mjs";
+
+/**
+ * How close, in preview pixels, a click has to be to a wall to pick it
+ */
+const PICK_DISTANCE = 6;
+
+/**
+ * The largest the preview canvas is drawn at, in pixels. Larger previews make small walls easier to pick.
+ */
+const MAX_PREVIEW_WIDTH = 1600;
+
+/**
+ * Lets the user fix up generated walls on the preview canvas before they are applied:
+ *  - "remove": click a wall, or drag a box, to remove walls
+ *  - "add": drag to add a wall, snapped to the analysis grid
+ *  - "door": click a wall to toggle whether it is a door
+ *  - "outside" and "inside": click the map to mark what is there as outside or inside, through onPick
+ *
+ * The walls are edited in place, so whoever owns the list sees the changes.
+ */
+export class PreviewEditor {
+  constructor() {
+    this.canvas = null;
+    this.background = null;
+    this.frame = null;
+    this.hexLayout = null;
+    this.walls = [];
+    this.tool = "remove";
+    this.drag = null;
+    // called with the point in scene coordinates and the tool, when the map is clicked with the outside or inside tool
+    this.onPick = null;
+
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
+  }
+
+  /**
+   * Attach to a canvas element, replacing the one attached before (for example after a re-render)
+   * @param {HTMLCanvasElement} canvas
+   */
+  attach(canvas) {
+    if (this.canvas === canvas) return;
+    this.detach();
+    this.canvas = canvas;
+    if (!canvas) return;
+    canvas.addEventListener("pointerdown", this._onPointerDown);
+    canvas.addEventListener("pointermove", this._onPointerMove);
+    canvas.addEventListener("pointerup", this._onPointerUp);
+    this.draw();
+  }
+
+  detach() {
+    if (!this.canvas) return;
+    this.canvas.removeEventListener("pointerdown", this._onPointerDown);
+    this.canvas.removeEventListener("pointermove", this._onPointerMove);
+    this.canvas.removeEventListener("pointerup", this._onPointerUp);
+    this.canvas = null;
+  }
+
+  /**
+   * Show a new result
+   * @param {ImageBitmap} background - the analysed image, without walls drawn on it
+   * @param {Object} frame - how the preview maps onto the scene
+   * @param {number} frame.x - the scene x coordinate of the left edge of the preview
+   * @param {number} frame.y - the scene y coordinate of the top edge of the preview
+   * @param {number} frame.width - the width of the preview, in scene pixels
+   * @param {number} frame.height - the height of the preview, in scene pixels
+   * @param {number} frame.cellSize - the size of a cell of the analysis grid, in scene pixels
+   * @param {Object} [frame.hex] - the HexLayout options in scene coordinates, if the grid is hexagonal
+   * @param {Array<Object>} walls - the wall data to edit
+   */
+  setResult(background, frame, walls) {
+    this.background?.close();
+    this.background = background;
+    this.frame = frame;
+    this.hexLayout = frame.hex ? new HexLayout(frame.hex) : null;
+    this.walls = walls;
+    this.draw();
+  }
+
+  /**
+   * Forget the current result, for example while a new one is being generated
+   */
+  clear() {
+    this.background?.close();
+    this.background = null;
+    this.walls = [];
+  }
+
+  destroy() {
+    this.detach();
+    this.clear();
+  }
+
+  draw() {
+    const canvas = this.canvas;
+    if (!canvas || !this.background) return;
+    canvas.width = Math.min(this.background.width, MAX_PREVIEW_WIDTH);
+    canvas.height = Math.round(canvas.width * (this.background.height / this.background.width));
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(this.background, 0, 0, canvas.width, canvas.height);
+
+    const toPreview = (w)=>[...this.toPreview(w.c[0], w.c[1]), ...this.toPreview(w.c[2], w.c[3])];
+    const colorOf = (w)=>w.door ? DOOR_COLOR : (ROLE_COLORS[w.flags?.["auto-detect-walls"]?.role] ?? "white");
+    const byColor = new Map();
+    for (const wall of this.walls) {
+      const color = colorOf(wall);
+      if (!byColor.has(color)) byColor.set(color, []);
+      byColor.get(color).push(toPreview(wall));
+    }
+    for (const [color, walls] of byColor) drawWalls(canvas, walls, { color });
+
+    if (this.drag?.current && (this.tool === "add" || this.tool === "remove")) {
+      const [x1, y1] = this.toPreview(...this.drag.start);
+      const [x2, y2] = this.toPreview(...this.drag.current);
+      ctx.save();
+      ctx.setLineDash([4, 4]);
+      ctx.strokeStyle = "deepskyblue";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      if (this.tool === "add") {
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+      } else {
+        ctx.rect(x1, y1, x2 - x1, y2 - y1);
+      }
+      ctx.stroke();
+      ctx.restore();
+    }
+  }
+
+  /**
+   * Convert scene coordinates into preview canvas coordinates
+   */
+  toPreview(x, y) {
+    const scale = this.canvas.width / this.frame.width;
+    return [(x - this.frame.x) * scale, (y - this.frame.y) * scale];
+  }
+
+  /**
+   * Convert a pointer event into scene coordinates
+   */
+  toScene(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const px = (event.clientX - rect.left) * this.canvas.width / rect.width;
+    const py = (event.clientY - rect.top) * this.canvas.height / rect.height;
+    const scale = this.frame.width / this.canvas.width;
+    return [this.frame.x + px * scale, this.frame.y + py * scale];
+  }
+
+  /**
+   * Snap a point in scene coordinates to the nearest corner of the analysis grid
+   */
+  snap([x, y]) {
+    if (this.hexLayout) {
+      const [row, col] = this.hexLayout.cellAt(x, y);
+      const vertices = this.hexLayout.vertices(row, col);
+      return vertices.reduce((best, v)=>Math.hypot(v[0] - x, v[1] - y) < Math.hypot(best[0] - x, best[1] - y) ? v : best);
+    }
+    const { cellSize } = this.frame;
+    return [
+      this.frame.x + Math.round((x - this.frame.x) / cellSize) * cellSize,
+      this.frame.y + Math.round((y - this.frame.y) / cellSize) * cellSize,
+    ];
+  }
+
+  /**
+   * The wall nearest to a point, if one is close enough to pick
+   */
+  pick(point) {
+    const maxDistance = PICK_DISTANCE * this.frame.width / this.canvas.width;
+    let best = null;
+    let bestDistance = maxDistance;
+    for (const wall of this.walls) {
+      const distance = distanceToSegment(...point, wall.c);
+      if (distance <= bestDistance) {
+        best = wall;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  _onPointerDown(event) {
+    if (!this.background || event.button !== 0) return;
+    event.preventDefault();
+    this.canvas.setPointerCapture(event.pointerId);
+    const point = this.toScene(event);
+    this.drag = { start: this.tool === "add" ? this.snap(point) : point, current: null };
+  }
+
+  _onPointerMove(event) {
+    if (!this.drag) return;
+    const point = this.toScene(event);
+    this.drag.current = this.tool === "add" ? this.snap(point) : point;
+    this.draw();
+  }
+
+  _onPointerUp(event) {
+    if (!this.drag) return;
+    const { start } = this.drag;
+    this.drag = null;
+    const point = this.toScene(event);
+    const moved = Math.hypot(point[0] - start[0], point[1] - start[1]) > PICK_DISTANCE * this.frame.width / this.canvas.width;
+
+    switch (this.tool) {
+      case "add": {
+        const end = this.snap(point);
+        if (end[0] !== start[0] || end[1] !== start[1]) this.walls.push({ c: [...start, ...end] });
+        break;
+      }
+      case "outside":
+      case "inside":
+        this.onPick?.(point, this.tool);
+        break;
+      case "door": {
+        const wall = this.pick(point);
+        if (wall) {
+          if (wall.door) delete wall.door;
+          else wall.door = CONST.WALL_DOOR_TYPES.DOOR;
+        }
+        break;
+      }
+      case "remove":
+      default: {
+        const remove = moved
+          ? this.walls.filter(w=>segmentInBox(w.c, start, point))
+          : [this.pick(point)].filter(w=>w);
+        for (const wall of remove) this.walls.splice(this.walls.indexOf(wall), 1);
+        break;
+      }
+    }
+    this.draw();
+  }
+}
+
+/**
+ * Whether a segment's midpoint is inside the box with the given corners
+ */
+function segmentInBox([x1, y1, x2, y2], [bx1, by1], [bx2, by2]) {
+  const mx = (x1 + x2) / 2;
+  const my = (y1 + y2) / 2;
+  return mx >= Math.min(bx1, bx2) && mx <= Math.max(bx1, bx2) && my >= Math.min(by1, by2) && my <= Math.max(by1, by2);
+}
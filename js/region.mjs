@@ -0,0 +1,148 @@
+/**
+ * Convert a Drawing into a polygon in scene coordinates
+ * @param {DrawingDocument} drawing
+ * @returns {Array<number>} flat list of points [x1, y1, x2, y2, ...]
+ */
+export function drawingToPolygon(drawing) {
+  const { x, y, rotation = 0, shape } = drawing;
+  const { width, height } = shape;
+  let points;
+  switch (shape.type) {
+    case "e": {
+      // approximate ellipses with a polygon
+      const steps = 32;
+      points = [];
+      for (let i = 0; i < steps; i++) {
+        const a = i * 2 * Math.PI / steps;
+        points.push(width / 2 + Math.cos(a) * width / 2, height / 2 + Math.sin(a) * height / 2);
+      }
+      break;
+    }
+    case "p":
+    case "f":
+      points = [...shape.points];
+      break;
+    default:
+      points = [0, 0, width, 0, width, height, 0, height];
+  }
+
+  // drawings rotate around their center
+  const cos = Math.cos(rotation * Math.PI / 180);
+  const sin = Math.sin(rotation * Math.PI / 180);
+  const cx = width / 2;
+  const cy = height / 2;
+  const polygon = [];
+  for (let i = 0; i < points.length; i += 2) {
+    const px = points[i] - cx;
+    const py = points[i + 1] - cy;
+    polygon.push(x + cx + px * cos - py * sin, y + cy + px * sin + py * cos);
+  }
+  return polygon;
+}
+
+/**
+ * Let the user draw a region on the canvas. Rectangles are drawn by dragging. Polygons are drawn by clicking each
+ * point, and finished by double clicking or clicking the first point again. Right click or Escape cancels.
+ * While drawing, pointer events are kept from reaching the active layer, so nothing else gets drawn by accident.
+ * @param {string} shape - "rectangle" or "polygon"
+ * @returns {Promise<Array<number>|null>} the region as a flat list of points in scene coordinates, or null if cancelled
+ */
+export function drawRegion(shape = "rectangle") {
+  return new Promise((resolve)=>{
+    const graphics = canvas.controls.addChild(new PIXI.Graphics());
+    const points = [];
+    let dragStart = null;
+    let cursor = null;
+
+    const toCanvas = (event)=>{
+      const { x, y } = canvas.canvasCoordinatesFromClient({ x: event.clientX, y: event.clientY });
+      return [Math.round(x), Math.round(y)];
+    };
+    const onCanvas = (event)=>event.target === canvas.app.view;
+
+    const redraw = ()=>{
+      graphics.clear();
+      graphics.lineStyle(4 / canvas.stage.scale.x, 0xFF8800, 1);
+      graphics.beginFill(0xFF8800, 0.1);
+      const preview = [...points, ...(cursor ?? [])];
+      if (shape === "rectangle" && dragStart && cursor) {
+        const [x1, y1] = dragStart;
+        const [x2, y2] = cursor;
+        graphics.drawRect(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1));
+      } else if (preview.length >= 4) {
+        graphics.drawPolygon(preview);
+      }
+      graphics.endFill();
+    };
+
+    const finish = (result)=>{
+      window.removeEventListener("pointerdown", onPointerDown, true);
+      window.removeEventListener("pointermove", onPointerMove, true);
+      window.removeEventListener("pointerup", onPointerUp, true);
+      window.removeEventListener("dblclick", onDoubleClick, true);
+      window.removeEventListener("contextmenu", onContextMenu, true);
+      window.removeEventListener("keydown", onKeyDown, true);
+      graphics.destroy();
+      resolve(result);
+    };
+
+    const onPointerDown = (event)=>{
+      if (!onCanvas(event)) return;
+      event.stopPropagation();
+      if (event.button !== 0) return;
+      const point = toCanvas(event);
+      if (shape === "rectangle") {
+        dragStart = point;
+        cursor = point;
+        return;
+      }
+      // close the polygon when clicking near its first point
+      const closeDistance = 10 / canvas.stage.scale.x;
+      if (points.length >= 6 && Math.hypot(point[0] - points[0], point[1] - points[1]) < closeDistance) {
+        return finish(points);
+      }
+      // the clicks of a double click land on the same point
+      if (point[0] !== points[points.length - 2] || point[1] !== points[points.length - 1]) points.push(...point);
+      redraw();
+    };
+    const onPointerMove = (event)=>{
+      if (!onCanvas(event)) return;
+      event.stopPropagation();
+      cursor = toCanvas(event);
+      redraw();
+    };
+    const onPointerUp = (event)=>{
+      if (!onCanvas(event)) return;
+      event.stopPropagation();
+      if (shape !== "rectangle" || !dragStart) return;
+      const [x1, y1] = dragStart;
+      const [x2, y2] = toCanvas(event);
+      dragStart = null;
+      if (Math.abs(x2 - x1) < 2 || Math.abs(y2 - y1) < 2) return finish(null);
+      finish([x1, y1, x2, y1, x2, y2, x1, y2]);
+    };
+    const onDoubleClick = (event)=>{
+      if (!onCanvas(event)) return;
+      event.stopPropagation();
+      if (shape === "polygon" && points.length >= 6) finish(points);
+    };
+    const onContextMenu = (event)=>{
+      if (!onCanvas(event)) return;
+      event.stopPropagation();
+      event.preventDefault();
+      finish(null);
+    };
+    const onKeyDown = (event)=>{
+      if (event.key !== "Escape") return;
+      event.stopPropagation();
+      finish(null);
+    };
+
+    window.addEventListener("pointerdown", onPointerDown, true);
+    window.addEventListener("pointermove", onPointerMove, true);
+    window.addEventListener("pointerup", onPointerUp, true);
+    window.addEventListener("dblclick", onDoubleClick, true);
+    window.addEventListener("contextmenu", onContextMenu, true);
+    window.addEventListener("keydown", onKeyDown, true);
+  });
+}
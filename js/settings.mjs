@@ -0,0 +1,264 @@
+import { randomSeed } from "./image-processing/random.mjs";
+
+export const MODULE_ID = "auto-detect-walls";
+
+/**
+ * The detection settings shared by the world defaults and each scene, with their built-in values.
+ * These are passed straight through to sceneToWalls as options.
+ */
+export const DETECTION_DEFAULTS = {
+  mode: "grid",
+  subCellScale: 1,
+  traceTolerance: 0.25,
+  wallPlacement: "detected",
+  autoTune: false,
+  k: 3, // default k for k-means clustering
+  colorSpace: "lab",
+  spatialWeight: 0,
+  colorThreshold: 20,
+  despeckle: 0.5,
+  edgeAlgorithm: "kovalevsky",
+  edgeThreshold: 25,
+  cannyLowThreshold: 40,
+  cannyHighThreshold: 70,
+  internalWalls: false, // default to not generating internal walls
+  detectDoors: true,
+};
+
+/**
+ * The choices for the select fields of the detection settings
+ */
+export const DETECTION_CHOICES = {
+  modes: {
+    grid: "Snap to Grid",
+    trace: "Trace Outlines",
+  },
+  wallResolutions: {
+    1: "Full Cell",
+    2: "1/2 Cell",
+    3: "1/3 Cell",
+    4: "1/4 Cell",
+  },
+  wallPlacements: {
+    detected: "As Detected",
+    inner: "Floor Edge",
+    center: "Centre Line",
+    outer: "Outer Edge",
+  },
+  colorSpaces: {
+    rgb: "RGB",
+    lab: "CIELAB",
+    hsv: "HSV",
+  },
+  edgeAlgorithms: {
+    kovalevsky: "Kovalevsky",
+    canny: "Canny",
+    none: "None",
+  },
+  roles: {
+    auto: "Auto",
+    floor: "Floor",
+    solid: "Solid",
+    water: "Water",
+    chasm: "Chasm",
+  },
+};
+
+const SETTINGS_PARTIAL = `modules/${MODULE_ID}/templates/detection-settings.hbs`;
+
+class DetectionDefaultsConfig extends foundry.applications.api.HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
+  static DEFAULT_OPTIONS = foundry.utils.mergeObject(
+    super.DEFAULT_OPTIONS,
+    {
+      id: "auto-walls-defaults",
+      tag: "form",
+      classes: ["sheet", "auto-detect-walls"],
+      position: {
+        width: 500,
+      },
+      window: {
+        title: "Auto Detect Walls: Default Settings",
+      },
+      form: {
+        submitOnChange: false,
+        closeOnSubmit: true,
+        handler: DetectionDefaultsConfig.onSubmit,
+      },
+      actions: {
+        "reset": async function () {
+          await game.settings.set(MODULE_ID, "defaults", DETECTION_DEFAULTS);
+          this.render();
+        },
+      },
+    },
+    { inplace: false }
+  );
+
+  static PARTS = {
+    form: {
+      id: "form",
+      template: `modules/${MODULE_ID}/templates/detection-defaults.hbs`,
+    },
+  };
+
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    return {
+      ...context,
+      ...getWorldDefaults(),
+      ...DETECTION_CHOICES,
+    };
+  }
+
+  static async onSubmit(event, form, formData) {
+    const defaults = getWorldDefaults();
+    for (const key of Object.keys(DETECTION_DEFAULTS)) {
+      defaults[key] = formData.object[key] ?? defaults[key];
+    }
+    await game.settings.set(MODULE_ID, "defaults", defaults);
+  }
+}
+
+/**
+ * The world-level default detection settings
+ * @returns {Object}
+ */
+export function getWorldDefaults() {
+  return { ...DETECTION_DEFAULTS, ...game.settings.get(MODULE_ID, "defaults") };
+}
+
+/**
+ * The choices of settings to detect walls with on many scenes at once, besides the named presets
+ */
+export const BATCH_PRESETS = {
+  scene: "Each Scene's Last Settings",
+  defaults: "World Defaults",
+};
+
+/**
+ * The settings a named preset stores: everything sceneToWalls is given, other than the region
+ */
+const PRESET_KEYS = [...Object.keys(DETECTION_DEFAULTS), "tiles", "seed", "clusterRoles"];
+
+/**
+ * The detection settings for a scene: whatever was last used on it, or else the world defaults, adjusted for the scene
+ * @param {Scene} scene
+ * @param {Object} [options]
+ * @param {string} [options.preset="scene"] - one of BATCH_PRESETS, or the id of a named preset: "defaults" ignores the
+ *   settings last used, and a named preset is put on top of the defaults
+ * @returns {Object}
+ */
+export function getSceneSettings(scene, { preset = "scene" } = {}) {
+  if (!(preset in BATCH_PRESETS)) {
+    return { ...getSceneSettings(scene, { preset: "defaults" }), ...foundry.utils.deepClone(getPresets()[preset]?.settings) };
+  }
+  const sceneDefaults = {
+    // scenes built entirely from tiles have nothing to analyse otherwise
+    tiles: scene.background.src ? "none" : "visible",
+    seed: randomSeed(),
+    // the roles given to color clusters, as { color: [r, g, b], role }
+    clusterRoles: [],
+  };
+  const saved = preset === "scene" ? scene.getFlag(MODULE_ID, "settings") : null;
+  if (saved) return { ...getWorldDefaults(), ...sceneDefaults, ...saved };
+  return {
+    ...getWorldDefaults(),
+    // tracing suits gridless scenes better than snapping to a grid that isn't there
+    ...(scene.grid.type === CONST.GRID_TYPES.GRIDLESS ? { mode: "trace" } : {}),
+    ...sceneDefaults,
+  };
+}
+
+/**
+ * Remember the detection settings used on a scene
+ * @param {Scene} scene
+ * @param {Object} settings
+ */
+export async function saveSceneSettings(scene, settings) {
+  await scene.setFlag(MODULE_ID, "settings", settings);
+}
+
+/**
+ * The named presets saved in the world
+ * @returns {Object<string, { name: string, settings: Object }>} the presets, by id
+ */
+export function getPresets() {
+  return game.settings.get(MODULE_ID, "presets") ?? {};
+}
+
+/**
+ * Save settings as a named preset, replacing the preset with the same name, if there is one
+ * @param {string} name
+ * @param {Object} settings - detection settings; only the ones presets store are kept
+ * @returns {Promise<string>} the id of the preset
+ */
+export async function savePreset(name, settings) {
+  const presets = getPresets();
+  const id = Object.keys(presets).find(id=>presets[id].name === name) ?? foundry.utils.randomID();
+  presets[id] = {
+    name,
+    settings: foundry.utils.deepClone(Object.fromEntries(PRESET_KEYS.filter(key=>key in settings).map(key=>[key, settings[key]]))),
+  };
+  await game.settings.set(MODULE_ID, "presets", presets);
+  return id;
+}
+
+/**
+ * @param {string} id
+ */
+export async function deletePreset(id) {
+  const presets = getPresets();
+  delete presets[id];
+  await game.settings.set(MODULE_ID, "presets", presets);
+}
+
+/**
+ * Download a named preset as a JSON file, which importPresets reads
+ * @param {string} id
+ */
+export function exportPreset(id) {
+  const preset = getPresets()[id];
+  if (!preset) return;
+  const filename = `auto-detect-walls-${preset.name.slugify?.() ?? id}.json`;
+  (foundry.utils.saveDataToFile ?? saveDataToFile)(JSON.stringify(preset, null, 2), "text/json", filename);
+}
+
+/**
+ * Save the presets in a JSON file written by exportPreset, replacing presets with the same names
+ * @param {string} json - one preset, as { name, settings }, or a list of them
+ * @returns {Promise<string[]>} the ids of the presets
+ */
+export async function importPresets(json) {
+  const data = JSON.parse(json);
+  const presets = Array.isArray(data) ? data : [data];
+  const valid = (preset)=>typeof preset?.name === "string" && preset.name.trim() !== "" &&
+    typeof preset.settings === "object" && preset.settings !== null;
+  if (presets.length === 0 || !presets.every(valid)) throw new Error("Not an Auto Detect Walls preset file");
+  const ids = [];
+  for (const { name, settings } of presets) ids.push(await savePreset(name.trim(), settings));
+  return ids;
+}
+
+export function register() {
+  game.settings.register(MODULE_ID, "defaults", {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: DETECTION_DEFAULTS,
+  });
+  game.settings.register(MODULE_ID, "presets", {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {},
+  });
+  game.settings.registerMenu(MODULE_ID, "defaultsMenu", {
+    name: "Default Detection Settings",
+    label: "Configure Defaults",
+    hint: "The settings the Auto Detect Walls dialog starts with on scenes it hasn't been used on yet.",
+    icon: "fa-solid fa-hat-wizard",
+    type: DetectionDefaultsConfig,
+    restricted: true,
+  });
+  (foundry.applications.handlebars?.loadTemplates ?? loadTemplates)([SETTINGS_PARTIAL]);
+}
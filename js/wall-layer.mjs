@@ -1,22 +1,72 @@
-import * as imp from "./image-processing/_module.mjs";
+import { pointInPolygon, snapSegmentEnds, subtractSegments } from "./image-processing/geometry.mjs";
+import { validateStage } from "./pipeline.mjs";
 
+/**
+ * Extra pipeline stages registered with registerStage, passed to each run in the order they were registered
+ */
+const customStages = [];
 
+/**
+ * Register an extra pipeline stage, to run before, after or instead of one of the stages of the image analysis (see
+ * EXTENSIBLE_STAGES). The analysis runs in a worker, so the stage is given as a module for the worker to import, whose
+ * export is called with the analysis state and may be async (see stageRunner for what the state holds).
+ * @param {string} id - a unique id for the stage; registering the same id again replaces it
+ * @param {Object} stage
+ * @param {string} stage.module - the URL of the module, such as "modules/my-module/stage.mjs"
+ * @param {string} [stage.exportName="default"] - the name of the export that runs the stage
+ * @param {string} [stage.before] - the stage to run before
+ * @param {string} [stage.after] - the stage to run after
+ * @param {string} [stage.replace] - the stage to run instead of
+ */
+export function registerStage(id, { module, exportName = "default", before, after, replace }) {
+  validateStage({ id, before, after, replace });
+  unregisterStage(id);
+  // the worker resolves relative URLs against its own script, so they are resolved here instead
+  customStages.push({ id, module: new URL(module, document.baseURI).href, exportName, before, after, replace });
+}
+
+/**
+ * Remove a stage added with registerStage
+ * @param {string} id
+ */
+export function unregisterStage(id) {
+  const index = customStages.findIndex(s=>s.id === id);
+  if (index >= 0) customStages.splice(index, 1);
+}
+
+/**
+ * Detect the walls in a scene's background image
+ * @param {Scene} scene
+ * @param {Object} options - the pipeline options (see runPipeline), plus a preview canvas, an onProgress callback, and an
+ *   onAnalysis callback that is called with what the run found out about the image: { palette, clusters, tuned }, the
+ *   color of each cluster as [r, g, b], which cluster each pixel of the analysed image belongs to as
+ *   { data, width, height }, and the k and color threshold chosen by autoTune, if it was on.
+ *   The region, if any, is in scene coordinates. A subCellScale of 2, 3 or 4 lets walls snap to halves, thirds or
+ *   quarters of a grid cell instead of whole cells (square grids only). If an onPreview callback is given, it is called with the preview image
+ *   (without walls, which it then owns), the scene area it covers, and the walls, instead of drawing to the canvas.
+ *   The stages added with registerStage run as part of the analysis. The "autoDetectWalls.postDetect" hook is then
+ *   called with the scene, the walls and the options, so that handlers can change them in place. Aborting the signal
+ *   option cancels the run, which then rejects with a PipelineCancelledError; other runs carry on.
+ * @returns {Promise<Object[]>} wall data, ready to be passed to createEmbeddedDocuments
+ */
 export async function sceneToWalls(scene, options = {}) {
   // infer a bunch of things from the scene
-  const { width, height, cellSize, imgWidth, imgHeight, resolutionScale } = (()=>{
+  const { width, height, cellSize, subCellScale, imgWidth, imgHeight, resolutionScale, hex } = (()=>{
     const grid = scene.grid.size || scene.grid.gridX || 100; // default to 100px grid size
     const w = scene.width;
     const h = scene.height;
-    const subCellScale = Math.max(options.subCellScale || 1, 1);
-    let resolutionScale = Math.round(Math.max(options.resolutionScale ?? (grid / (subCellScale * 7)), 1));
-    // pick a resolutionScale that makes the cellSize an integer
-    while (resolutionScale > 1 && ((grid / (resolutionScale * subCellScale)) % 1 > (1 / Math.max(w * subCellScale / grid, h * subCellScale / grid)))) {
-      resolutionScale -= 1;
-      console.log("Adjusted resolutionScale to", resolutionScale);
-    }
-    const cellSize = Math.floor(grid / (resolutionScale * subCellScale));
+    // hex grids have no finer lattice to snap to
+    const subCellScale = isHexGrid(scene) ? 1 : Math.max(Math.round(options.subCellScale || 1), 1);
+    const { cellSize, resolutionScale } = analysisScale(grid / subCellScale, options.resolutionScale);
     const imgWidth = Math.floor(w / resolutionScale);
     const imgHeight = Math.floor(h / resolutionScale);
+
+    // hex grids don't tile into squares, so they are laid out over the whole image instead
+    const hex = hexLayoutOptions(scene, resolutionScale);
+    if (hex) {
+      return { width: imgWidth, height: imgHeight, cellSize, subCellScale, imgWidth, imgHeight, resolutionScale, hex };
+    }
+
     const mapWidth = Math.floor(imgWidth / cellSize) * cellSize;
     const mapHeight = Math.floor(imgHeight / cellSize) * cellSize;
 
@@ -24,138 +74,541 @@ export async function sceneToWalls(scene, options = {}) {
       width: mapWidth,
       height: mapHeight,
       cellSize,
+      subCellScale,
       imgWidth,
       imgHeight,
       resolutionScale,
+      hex: null,
     }
   })();
   const {
     canvas = null,
-    internalWalls = false,
-    k = 10,
-    colorThreshold = 32,
-    // debug
-    nowalls = false,
-    edgeDetection = true,
-    pixelize = true,
+    signal = null,
+    onProgress = ()=>{},
+    onPreview = null,
+    onAnalysis = ()=>{},
+    tiles = "none",
+    region = null,
+    ...pipelineOptions
   } = options;
-  const bkgimgcanvas = await imp.imageToCanvas(scene.background.src, {
+
+  const layers = sceneLayers(scene, { tiles, imgWidth, imgHeight, resolutionScale });
+  if (layers.length === 0) throw new Error("The scene has no background image or tiles to analyse");
+
+  const { walls, doors, terrain, palette, clusters, tuned, preview } = await runInWorker({
+    ...pipelineOptions,
+    layers,
     width,
     height,
-    scaledWidth: imgWidth,
-    scaledHeight: imgHeight,
-    // imgOffsetX = 0,
-    // imgOffsetY = 0,
-  });
-  const ctx = bkgimgcanvas.getContext('2d', { willReadFrequently: true });
-  const original = ctx.getImageData(0, 0, width, height);
-  imp.kMeansImageSegmentation(bkgimgcanvas, { k })
-  if (pixelize) {
-    imp.separateInside(bkgimgcanvas, { colorThreshold, threshold: 0.4 }); // TODO: threshold should be based on K?
-    await imp.applyMedianFilter(bkgimgcanvas, 5);
-    imp.pixelizeNearest(bkgimgcanvas, { cellSize });
+    cellSize,
+    subCellScale,
+    hex,
+    region: region?.map((c, idx)=>(c - (idx % 2 == 0 ? scene.dimensions.sceneX : scene.dimensions.sceneY)) / resolutionScale),
+    // the caller draws its own walls over the preview
+    previewWalls: !onPreview,
+    stages: customStages,
+  }, onProgress, signal);
+
+  const offsetX = scene.dimensions.sceneX; // subtract the background offset too
+  const offsetY = scene.dimensions.sceneY; // subtract the background offset too
+  // wall coordinates are whole scene pixels, and the resolution scale needn't be a whole number
+  const toScene = (w)=>w.map((c, idx)=>Math.round(c * resolutionScale + (idx % 2 == 0 ? offsetX : offsetY)));
+  const result = [
+    ...walls.map(w=>({ c: toScene(w) })),
+    ...doors.map(w=>({ c: toScene(w), door: CONST.WALL_DOOR_TYPES.DOOR })),
+    ...Object.entries(terrain).flatMap(([role, segments])=>segments.map(w=>({
+      c: toScene(w),
+      ...terrainWallTypes(role),
+      flags: { "auto-detect-walls": { role } },
+    }))),
+  ].filter(({ c: [x1, y1, x2, y2] })=>x1 !== x2 || y1 !== y2);
+  onAnalysis({ palette, clusters, tuned });
+  Hooks.callAll("autoDetectWalls.postDetect", scene, result, options);
+
+  if (canvas) {
+    const cvCtx = canvas.getContext('2d');
+    // canvas.width = width;
+    canvas.height = Math.round(canvas.width * (height / width));
+    cvCtx.drawImage(preview, 0, 0, canvas.width, canvas.height);
+  }
+  if (onPreview) {
+    onPreview(preview, {
+      x: offsetX,
+      y: offsetY,
+      width: width * resolutionScale,
+      height: height * resolutionScale,
+      cellSize: cellSize * resolutionScale,
+      hex: hex && {
+        ...hex,
+        size: hex.size * resolutionScale,
+        origin: [hex.origin[0] * resolutionScale + offsetX, hex.origin[1] * resolutionScale + offsetY],
+      },
+    }, result);
+  } else {
+    preview.close();
   }
+  return result;
+}
+
+/**
+ * The size cells of the analysis lattice are drawn at in the analysed image, in pixels, when not given
+ */
+const TARGET_CELL_SIZE = 7;
 
-  // Find the edges of the squares
-  if (edgeDetection) {
-    await imp.kovalevskiyEdgeDetection(bkgimgcanvas, { thinning: false });
-    await imp.applyMedianFilter(bkgimgcanvas, 3);
+/**
+ * Choose how much to scale a scene down for analysis. A lattice cell has to be a whole number of pixels in the analysed
+ * image, or the walls would drift away from the grid across the scene, so the scale is fitted to the cell size, rather
+ * than the other way around. Whole number scales are preferred, while keeping cells at least TARGET_CELL_SIZE pixels.
+ * @param {number} latticeSize - the size of a lattice cell (a grid cell, or a fraction of one), in scene pixels
+ * @param {number} [resolutionScale] - roughly how many scene pixels to analyse as one, instead of choosing
+ * @returns {{ cellSize: number, resolutionScale: number }} the size of a lattice cell in the analysed image, and how
+ *   many scene pixels make up each pixel of it
+ */
+export function analysisScale(latticeSize, resolutionScale) {
+  if (resolutionScale) {
+    const cellSize = Math.max(Math.round(latticeSize / Math.max(resolutionScale, 1)), 1);
+    return { cellSize, resolutionScale: latticeSize / cellSize };
+  }
+  if (latticeSize <= TARGET_CELL_SIZE) {
+    const cellSize = Math.max(Math.round(latticeSize), 1);
+    return { cellSize, resolutionScale: latticeSize / cellSize };
   }
+  for (let cellSize = TARGET_CELL_SIZE; cellSize <= TARGET_CELL_SIZE * 2 && cellSize <= latticeSize; cellSize++) {
+    if (Number.isInteger(latticeSize / cellSize)) return { cellSize, resolutionScale: latticeSize / cellSize };
+  }
+  return { cellSize: TARGET_CELL_SIZE, resolutionScale: latticeSize / TARGET_CELL_SIZE };
+}
 
-  if (internalWalls) {
-    const edgeDetection = imp.newCanvas({ width, height }, original);
-    await imp.kovalevskiyEdgeDetection(edgeDetection, { thinning: true });
-    imp.applyWithOp(bkgimgcanvas, edgeDetection.getContext('2d', { willReadFrequently: true }).getImageData(0,0,width,height), "lighten");
-    imp.applyBrightenFilter(bkgimgcanvas, 3);
+/**
+ * Whether a scene has a hexagonal grid
+ * @param {Scene} scene
+ * @returns {boolean}
+ */
+function isHexGrid(scene) {
+  const T = CONST.GRID_TYPES;
+  return [T.HEXODDR, T.HEXEVENR, T.HEXODDQ, T.HEXEVENQ].includes(scene.grid.type);
+}
+
+/**
+ * The sense and movement types of the walls around a terrain role: water is terrain, which limits senses like Foundry's
+ * terrain walls, and a chasm only blocks movement
+ * @param {string} role - "water" or "chasm"
+ * @returns {Object} wall data
+ */
+function terrainWallTypes(role) {
+  const S = CONST.WALL_SENSE_TYPES;
+  switch (role) {
+    case "water":
+      return { sight: S.LIMITED, light: S.LIMITED, sound: S.LIMITED, move: CONST.WALL_MOVEMENT_TYPES.NORMAL };
+    case "chasm":
+      return { sight: S.NONE, light: S.NONE, sound: S.NONE, move: CONST.WALL_MOVEMENT_TYPES.NORMAL };
+    default:
+      return {};
   }
+}
 
-  const walls = imp.identifyWalls(bkgimgcanvas, cellSize, { threshold: 50 });
-  if (!nowalls) {
-    ctx.fillRect(0, 0, width, height, "black");
-    ctx.putImageData(original, 0, 0);
-    imp.drawWalls(bkgimgcanvas, walls);
+/**
+ * Get the images that make up a scene, as layers for the pipeline, in the coordinates of the analysed image
+ * @param {Scene} scene
+ * @param {Object} options
+ * @param {string} options.tiles - which tiles to include: "none", "visible", or "selected"
+ * @param {number} options.imgWidth - the width of the scene, in image pixels
+ * @param {number} options.imgHeight - the height of the scene, in image pixels
+ * @param {number} options.resolutionScale - how many scene pixels there are per image pixel
+ * @returns {Array<Object>} the layers, bottom first
+ */
+function sceneLayers(scene, { tiles, imgWidth, imgHeight, resolutionScale }) {
+  const toUrl = (src)=>new URL(src, window.location.href).href;
+  const layers = [];
+  if (scene.background.src) {
+    layers.push({ src: toUrl(scene.background.src), x: 0, y: 0, width: imgWidth, height: imgHeight });
   }
 
-  if (canvas) {
-    const cvCtx = canvas.getContext('2d');
-    // canvas.width = width;
-    canvas.height = Math.round(canvas.width * (height / width));
-    cvCtx.drawImage(bkgimgcanvas, 0, 0, canvas.width, canvas.height);
+  let tileDocs = [];
+  if (tiles === "visible") {
+    tileDocs = scene.tiles.filter(t=>!t.hidden);
+  } else if (tiles === "selected") {
+    tileDocs = (canvas.scene === scene ? canvas.tiles.controlled : []).map(t=>t.document);
   }
-  const offsetX = scene.dimensions.sceneX; // subtract the background offset too
-  const offsetY = scene.dimensions.sceneY; // subtract the background offset too
-  return walls.map(w=>w.map((c, idx)=>c * resolutionScale + (idx % 2 == 0 ? offsetX : offsetY)));
-}
-
-export async function combineSceneWalls(scene) {
-  // find all the walls in the scene that are just basic walls
-  const walls = scene.walls.filter(w=>
-    w.door == CONST.WALL_DOOR_TYPES.NONE &&
-    w.dir == CONST.WALL_DIRECTIONS.BOTH &&
-    w.light == CONST.WALL_SENSE_TYPES.NORMAL &&
-    w.sight == CONST.WALL_SENSE_TYPES.NORMAL && 
-    w.sound == CONST.WALL_SENSE_TYPES.NORMAL &&
-    w.move == CONST.WALL_MOVEMENT_TYPES.NORMAL &&
-    !w.threshold.attenuation &&
-    w.threshold.light == null &&
-    w.threshold.sight == null &&
-    w.threshold.sound == null
-  );
-  const wallMap = {};
-  const wallIdToAB = {};
-  walls.forEach(w=>{
-    const c = w.c;
-    const dir = Math.round(Math.atan2(Math.abs(c[3] - c[1]), Math.abs(c[2] - c[0])) * 30);
-    const a = `${Math.round(c[0])},${Math.round(c[1])},${dir}`;
-    const b = `${Math.round(c[2])},${Math.round(c[3])},${dir}`;
-    wallMap[a] ??= new Set();
-    wallMap[b] ??= new Set();
-    wallMap[a].add(w);
-    wallMap[b].add(w);
-    wallIdToAB[w.id] = [a, b];
-  });
+  tileDocs = tileDocs
+    .filter(t=>t.texture?.src)
+    .sort((a, b)=>((a.elevation ?? 0) - (b.elevation ?? 0)) || ((a.sort ?? a.z ?? 0) - (b.sort ?? b.z ?? 0)));
+
+  const { sceneX, sceneY } = scene.dimensions;
+  for (const tile of tileDocs) {
+    layers.push({
+      src: toUrl(tile.texture.src),
+      x: (tile.x - sceneX) / resolutionScale,
+      y: (tile.y - sceneY) / resolutionScale,
+      width: Math.abs(tile.width) / resolutionScale,
+      height: Math.abs(tile.height) / resolutionScale,
+      rotation: tile.rotation ?? 0,
+      mirrorX: (tile.texture.scaleX ?? 1) < 0 || tile.width < 0,
+      mirrorY: (tile.texture.scaleY ?? 1) < 0 || tile.height < 0,
+      alpha: tile.alpha ?? 1,
+      // tiles can be videos and the like, which can't be drawn; the background has to load, though
+      optional: true,
+    });
+  }
+  return layers;
+}
+
+/**
+ * Get the HexLayout options for a scene's grid, in the coordinates of the analysed image
+ * @param {Scene} scene
+ * @param {number} resolutionScale - how many scene pixels there are per image pixel
+ * @returns {Object|null} the HexLayout options, or null if the scene doesn't use a hex grid
+ */
+function hexLayoutOptions(scene, resolutionScale) {
+  const T = CONST.GRID_TYPES;
+  const type = scene.grid.type;
+  if (!isHexGrid(scene)) return null;
+  const grid = scene.grid.size || scene.grid.gridX || 100;
+  return {
+    size: grid / resolutionScale,
+    columns: type === T.HEXODDQ || type === T.HEXEVENQ,
+    even: type === T.HEXEVENR || type === T.HEXEVENQ,
+    // the grid starts at the top left of the canvas, not the scene
+    origin: [-scene.dimensions.sceneX / resolutionScale, -scene.dimensions.sceneY / resolutionScale],
+  };
+}
 
-  // build up sets of a/b that are connected
-  const wallSets = [];
-  const visitedK = new Set();
-  const visit = function(w, set) {
-    set.add(w);
-    const [a, b] = wallIdToAB[w.id];
-    if (!visitedK.has(a)) {
-      visitedK.add(a);
-      wallMap[a].forEach(w=>visit(w, set));
+/**
+ * Thrown when a pipeline run is cancelled, by aborting the signal it was given
+ */
+export class PipelineCancelledError extends Error {
+  constructor() {
+    super("Wall detection was cancelled");
+    this.name = "PipelineCancelledError";
+  }
+}
+
+const WORKER_URL = "modules/auto-detect-walls/auto-detect-walls-worker.js";
+
+/**
+ * Run the pipeline in a fresh worker. Each run is separate, so any number can run at once; aborting the signal
+ * cancels only this one.
+ * @param {Object} params - the pipeline parameters, see runPipeline
+ * @param {Function} onProgress - called with { stage, index, total } as each stage starts
+ * @param {AbortSignal} [signal] - cancels the run when aborted, rejecting with a PipelineCancelledError
+ * @returns {Promise<{ walls: number[][], doors: number[][], terrain: Object<string, number[][]>, palette: number[][], clusters: Object, tuned: Object, preview: ImageBitmap }>}
+ */
+function runInWorker(params, onProgress, signal = null) {
+  return new Promise((resolve, reject)=>{
+    if (signal?.aborted) return reject(new PipelineCancelledError());
+    const worker = new Worker(WORKER_URL);
+    const onAbort = ()=>{
+      worker.terminate();
+      reject(new PipelineCancelledError());
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+    const finish = ()=>{
+      worker.terminate();
+      signal?.removeEventListener("abort", onAbort);
     };
-    if (!visitedK.has(b)) {
-      visitedK.add(b);
-      wallMap[b].forEach(w=>visit(w, set));
+    worker.onmessage = (event)=>{
+      const { type, ...data } = event.data;
+      switch (type) {
+        case "progress":
+          onProgress(data);
+          break;
+        case "done":
+          finish();
+          resolve(data);
+          break;
+        case "error":
+          finish();
+          reject(new Error(data.message));
+          break;
+      }
     };
+    worker.onerror = (event)=>{
+      finish();
+      reject(new Error(event.message));
+    };
+    worker.postMessage({ params });
+  });
+}
+
+/**
+ * How far apart, in scene pixels, the ends of two walls can be and still count as touching
+ */
+const MERGE_TOLERANCE = 0.5;
+
+/**
+ * The walls Minimize Walls works on
+ * @param {Scene} scene
+ * @param {string} scope - "selected" for the walls selected on the canvas, "auto" for the walls created by Auto Detect
+ *   Walls, or "all"
+ * @returns {WallDocument[]}
+ */
+function scopedWalls(scene, scope) {
+  switch (scope) {
+    case "selected":
+      return canvas.scene === scene ? canvas.walls.controlled.map(w=>w.document) : [];
+    case "auto":
+      return scene.walls.filter(w=>w.flags["auto-detect-walls"]?.auto);
+    case "all":
+    default:
+      return scene.walls.contents;
   }
-  for (const [k, v] of Object.entries(wallMap)) {
-    if (visitedK.has(k)) continue;
-    const set = new Set();
-    for (const w of v) {
-      visit(w, set);
+}
+
+/**
+ * Work out how Minimize Walls would merge walls, without changing anything. Only walls that lie on the same line and
+ * touch or overlap end to end are merged, and only if all their other properties and flags are the same; the merged wall
+ * keeps them. Doors are never merged.
+ * @param {Scene} scene
+ * @param {Object} [options]
+ * @param {string} [options.scope="all"] - which walls to merge: "selected", "auto", or "all"
+ * @returns {{ walls: WallDocument[], toDelete: WallDocument[], toCreate: Object[] }} the walls in scope, the walls to
+ *   replace, and the wall data to replace them with
+ */
+export function planMinimizeWalls(scene, { scope = "all" } = {}) {
+  const walls = scopedWalls(scene, scope);
+
+  // group the walls by the line they lie on and their other properties
+  const lines = new Map();
+  for (const wall of walls) {
+    if (wall.door != CONST.WALL_DOOR_TYPES.NONE) continue;
+    const { _id, c, ...properties } = wall.toObject();
+    const [x1, y1, x2, y2] = c;
+    const length = Math.hypot(x2 - x1, y2 - y1);
+    if (length === 0) continue;
+    // point every line the same way, so that a wall and its reverse share a line
+    let dx = (x2 - x1) / length;
+    let dy = (y2 - y1) / length;
+    const forward = dx > 1e-9 || (Math.abs(dx) <= 1e-9 && dy > 0);
+    if (!forward) {
+      dx = -dx;
+      dy = -dy;
+    }
+    const angle = Math.round(Math.atan2(dy, dx) * 1000);
+    const offset = Math.round(dx * y1 - dy * x1);
+    // reversing a one-way wall changes which way it faces
+    const facing = properties.dir == CONST.WALL_DIRECTIONS.BOTH ? null : forward;
+    const key = JSON.stringify([angle, offset, facing, properties]);
+    if (!lines.has(key)) lines.set(key, { dx, dy, forward, properties, walls: [] });
+    const t1 = dx * x1 + dy * y1;
+    const t2 = dx * x2 + dy * y2;
+    lines.get(key).walls.push({
+      wall,
+      start: t1 < t2 ? [x1, y1] : [x2, y2],
+      end: t1 < t2 ? [x2, y2] : [x1, y1],
+      t1: Math.min(t1, t2),
+      t2: Math.max(t1, t2),
+    });
+  }
+
+  // merge the runs of walls along each line that touch or overlap
+  const toDelete = [];
+  const toCreate = [];
+  for (const { forward, properties, walls: segments } of lines.values()) {
+    segments.sort((a, b)=>a.t1 - b.t1);
+    let run = [segments[0]];
+    let end = segments[0];
+    const finishRun = ()=>{
+      if (run.length > 1) {
+        toDelete.push(...run.map(s=>s.wall));
+        const c = forward ? [...run[0].start, ...end.end] : [...end.end, ...run[0].start];
+        toCreate.push({ ...foundry.utils.deepClone(properties), c });
+      }
+    };
+    for (const segment of segments.slice(1)) {
+      if (segment.t1 <= end.t2 + MERGE_TOLERANCE) {
+        run.push(segment);
+        if (segment.t2 > end.t2) end = segment;
+      } else {
+        finishRun();
+        run = [segment];
+        end = segment;
+      }
     }
-    wallSets.push(set);
+    finishRun();
   }
+  return { walls, toDelete, toCreate };
+}
+
+/**
+ * Merge walls that lie end to end on the same line into single walls (see planMinimizeWalls)
+ * @param {Scene} scene
+ * @param {Object} [options]
+ * @param {string} [options.scope="all"] - which walls to merge: "selected", "auto", or "all"
+ * @returns {Promise<WallDocument[]>} the merged walls
+ */
+export async function combineSceneWalls(scene, options = {}) {
+  assertCanChangeWalls();
+  const { toDelete, toCreate } = planMinimizeWalls(scene, options);
+  if (toDelete.length === 0) return [];
+  return replaceWalls(scene, toDelete, toCreate, "Minimize Walls");
+}
 
-  const newWalls = [];
-  for (const set of wallSets) {
-    // for each set, find the min and max x/y coords
-    const coords = [...set].map(k=>k.c);
-    const x1 = Math.min(...coords.map(c=>Math.min(c[0], c[2])));
-    const y1 = Math.min(...coords.map(c=>Math.min(c[1], c[3])));
-    const x2 = Math.max(...coords.map(c=>Math.max(c[0], c[2])));
-    const y2 = Math.max(...coords.map(c=>Math.max(c[1], c[3])));
-    newWalls.push([x1,y1, x2, y2]);
+/**
+ * How close, in grid cells, a detected wall has to be to a wall drawn by hand to count as the same wall
+ */
+const MANUAL_WALL_TOLERANCE = 0.1;
+
+/**
+ * Fit detected walls around the walls already in a scene that weren't created by Auto Detect Walls: the parts of
+ * detected walls that run along them are left out, and the ends of what is left are snapped onto their ends, so that
+ * the two join up without gaps for light to leak through.
+ * @param {Object[]} walls - wall data, in scene coordinates
+ * @param {WallDocument[]} manualWalls - the walls to fit around
+ * @param {number} tolerance - how far apart, in scene pixels, walls can be and still count as the same
+ * @returns {Object[]} the wall data that is left
+ */
+function mergeWithManualWalls(walls, manualWalls, tolerance) {
+  const segments = manualWalls.map(w=>w.c);
+  const ends = segments.flatMap(([x1, y1, x2, y2])=>[[x1, y1], [x2, y2]]);
+  return walls.flatMap(wall=>subtractSegments(wall.c, segments, tolerance)
+    .map(piece=>snapSegmentEnds(piece, ends, tolerance))
+    .filter(([x1, y1, x2, y2])=>x1 !== x2 || y1 !== y2)
+    .map(c=>({ ...wall, c })));
+}
+
+/**
+ * Create detected walls in a scene, replacing the auto walls created before. Walls that duplicate walls drawn by hand
+ * are left out, and the rest are joined onto them (see mergeWithManualWalls). Calls the "autoDetectWalls.preApply" hook
+ * first with the scene, the walls and the options: handlers can change the walls in place, or return false to cancel.
+ * @param {Scene} scene
+ * @param {Object[]} walls - wall data, as returned by sceneToWalls
+ * @param {Object} options
+ * @param {Array<number>} [options.region] - if set, only replace the auto walls inside this polygon, in scene coordinates
+ * @param {number} [options.seed] - the seed the walls were generated with, remembered in their flags
+ * @param {number} [options.tolerance] - how far apart, in scene pixels, a detected wall and a wall drawn by hand can be
+ *   and still count as the same; defaults to a tenth of a grid cell
+ * @returns {Promise<WallDocument[]>} the created walls, or an empty list if a hook cancelled
+ */
+export async function applyWalls(scene, walls, options = {}) {
+  assertCanChangeWalls();
+  if (Hooks.call("autoDetectWalls.preApply", scene, walls, options) === false) return [];
+  const { region = null, seed, tolerance = scene.grid.size * MANUAL_WALL_TOLERANCE } = options;
+  const autoWalls = scene.walls.filter(w=>w.flags["auto-detect-walls"]?.auto).filter(w=>{
+    if (!region) return true;
+    const [x1, y1, x2, y2] = w.c;
+    return pointInPolygon((x1 + x2) / 2, (y1 + y2) / 2, region);
+  });
+  const manualWalls = scene.walls.filter(w=>!w.flags["auto-detect-walls"]?.auto);
+  return replaceWalls(scene, autoWalls, mergeWithManualWalls(walls, manualWalls, tolerance).map((w)=>({
+      ...w,
+      flags: { "auto-detect-walls": { ...w.flags?.["auto-detect-walls"], auto: true, seed } }
+  })), "Auto Detect Walls");
+}
+
+/**
+ * Detect and apply walls on many scenes, one after another. Scenes that already have walls drawn by hand are skipped,
+ * unless includeManual is set; on those, the detected walls are fitted around the ones drawn by hand (see applyWalls).
+ * A scene that fails doesn't stop the rest, but aborting the signal does, and the scenes left are reported as cancelled.
+ * Each batch runs separately from the dialog and any other detection, so they don't cancel each other.
+ * @param {Scene[]} scenes
+ * @param {Object} options
+ * @param {Function} options.settingsFor - called with a scene, returning the sceneToWalls options for it
+ * @param {boolean} [options.includeManual=false] - whether to detect walls on scenes that have walls drawn by hand
+ * @param {Function} [options.onScene] - called with (scene, index, total) as each scene starts
+ * @param {Function} [options.onProgress] - called with the progress of the pipeline on each scene
+ * @param {AbortSignal} [options.signal] - stops the batch before the next scene, when aborted
+ * @returns {Promise<Object[]>} what happened on each scene, as { scene, status, walls, message }, where status is
+ *   "created", "skipped", "failed" or "cancelled", and walls is how many were created
+ */
+export async function batchSceneToWalls(scenes, options) {
+  const { settingsFor, includeManual = false, onScene = ()=>{}, onProgress = ()=>{}, signal = null } = options;
+  assertCanChangeWalls();
+  const report = [];
+  for (const [index, scene] of scenes.entries()) {
+    // every scene left over is reported, so that none go missing from the summary
+    if (signal?.aborted) {
+      report.push({ scene, status: "cancelled", walls: 0, message: "" });
+      continue;
+    }
+    onScene(scene, index, scenes.length);
+    const manualWalls = scene.walls.filter(w=>!w.flags["auto-detect-walls"]?.auto).length;
+    if (manualWalls > 0 && !includeManual) {
+      report.push({ scene, status: "skipped", walls: 0, message: `${manualWalls} walls drawn by hand` });
+      continue;
+    }
+    try {
+      const settings = settingsFor(scene);
+      const walls = await sceneToWalls(scene, { ...settings, onProgress, signal });
+      const created = await applyWalls(scene, walls, { seed: settings.seed });
+      report.push({ scene, status: "created", walls: created.length, message: "" });
+    } catch (error) {
+      // only the batch's own signal stops it; anything else is this scene failing
+      if (error instanceof PipelineCancelledError && signal?.aborted) {
+        report.push({ scene, status: "cancelled", walls: 0, message: "" });
+        continue;
+      }
+      console.error(error);
+      report.push({ scene, status: "failed", walls: 0, message: error?.message ?? String(error) });
+    }
   }
+  return report;
+}
+
+/**
+ * How many snapshots are kept per scene for restoring walls
+ */
+const MAX_SNAPSHOTS = 5;
+
+/**
+ * Only GMs can create and delete walls, so check before changing anything, rather than failing part of the way through
+ * @throws {Error} if the current user isn't a GM
+ */
+function assertCanChangeWalls() {
+  if (!game.user.isGM) throw new Error("Only a GM can create or delete walls with Auto Detect Walls");
+}
+
+/**
+ * Delete some walls and create others, saving a snapshot of the deleted walls in the scene's flags so that
+ * restorePreviousWalls can undo it.
+ * @param {Scene} scene
+ * @param {WallDocument[]} toDelete - the walls to delete
+ * @param {Object[]} toCreate - the wall data to create
+ * @param {string} operation - a name for the operation, shown when restoring
+ * @returns {Promise<WallDocument[]>} the created walls
+ */
+export async function replaceWalls(scene, toDelete, toCreate, operation) {
+  const deleted = toDelete.map(w=>w.toObject());
+  if (toDelete.length > 0) await scene.deleteEmbeddedDocuments("Wall", toDelete.map(w=>w.id));
+  const created = toCreate.length > 0 ? await scene.createEmbeddedDocuments("Wall", toCreate) : [];
+
+  const snapshots = scene.getFlag("auto-detect-walls", "snapshots") ?? [];
+  snapshots.push({
+    operation,
+    timestamp: Date.now(),
+    deleted,
+    created: created.map(w=>w.id),
+  });
+  await scene.setFlag("auto-detect-walls", "snapshots", snapshots.slice(-MAX_SNAPSHOTS));
+  return created;
+}
+
+/**
+ * The most recent snapshot saved by replaceWalls, if any
+ * @param {Scene} scene
+ * @returns {Object|null}
+ */
+export function latestSnapshot(scene) {
+  return scene.getFlag("auto-detect-walls", "snapshots")?.at(-1) ?? null;
+}
+
+/**
+ * Undo the most recent replaceWalls: delete the walls it created, and put back the walls it deleted, with their
+ * original ids and data.
+ * @param {Scene} scene
+ * @returns {Promise<boolean>} whether there was anything to restore
+ */
+export async function restorePreviousWalls(scene) {
+  assertCanChangeWalls();
+  const snapshots = scene.getFlag("auto-detect-walls", "snapshots") ?? [];
+  const snapshot = snapshots.pop();
+  if (!snapshot) return false;
 
-  // delete the old walls
-  await scene.deleteEmbeddedDocuments("Wall", walls.map(w=>w.id));
-  // create the new walls
-  await scene.createEmbeddedDocuments("Wall", newWalls.map((w)=>({
-      c: w,
-      flags: { "auto-detect-walls": { auto: true } }
-  })));
+  // the created walls may have been deleted by hand since
+  const created = snapshot.created.filter(id=>scene.walls.has(id));
+  if (created.length > 0) await scene.deleteEmbeddedDocuments("Wall", created);
+  const deleted = snapshot.deleted.filter(w=>!scene.walls.has(w._id));
+  if (deleted.length > 0) await scene.createEmbeddedDocuments("Wall", deleted, { keepId: true });
 
+  await scene.setFlag("auto-detect-walls", "snapshots", snapshots);
+  return true;
 }
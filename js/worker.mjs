@@ -0,0 +1,20 @@
+import { runPipeline } from "./pipeline.mjs";
+
+/**
+ * Worker entry point. Receives the pipeline parameters, posts a "progress" message as each stage starts,
+ * and finishes with either a "done" message (walls, doors, terrain walls, the cluster palette and map, the tuned parameters, and a preview bitmap) or an
+ * "error" message.
+ */
+self.onmessage = async function (event) {
+  const { params } = event.data;
+  try {
+    const { walls, doors, terrain, palette, clusters, tuned, preview } = await runPipeline(params, (progress)=>{
+      self.postMessage({ type: "progress", ...progress });
+    });
+    const bitmap = preview.transferToImageBitmap();
+    self.postMessage({ type: "done", walls, doors, terrain, palette, clusters, tuned, preview: bitmap }, [bitmap, clusters.data.buffer]);
+  } catch (error) {
+    console.error(error);
+    self.postMessage({ type: "error", message: error?.message ?? String(error) });
+  }
+};
@@ -0,0 +1,37 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { rgbToLab, rgbToHsv, deltaE, colorFeatures } from "../js/image-processing/_module.mjs";
+
+function assertClose(actual, expected, tolerance = 0.01) {
+  actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) <= tolerance, `${actual} is not close to ${expected}`));
+}
+
+describe("color spaces", () => {
+  it("converts sRGB to CIELAB", () => {
+    assertClose(rgbToLab(255, 255, 255), [100, 0, 0]);
+    assertClose(rgbToLab(0, 0, 0), [0, 0, 0]);
+    assertClose(rgbToLab(255, 0, 0), [53.24, 80.09, 67.2]);
+  });
+
+  it("converts RGB to HSV", () => {
+    assertClose(rgbToHsv(255, 0, 0), [0, 1, 1]);
+    assertClose(rgbToHsv(0, 0, 255), [240, 1, 1]);
+    assertClose(rgbToHsv(128, 128, 128), [0, 0, 128 / 255]);
+  });
+
+  it("tells dark blue from black better than a shadow from the lit color", () => {
+    const black = rgbToLab(0, 0, 0);
+    const darkBlue = rgbToLab(20, 30, 70);
+    const lit = rgbToLab(205, 190, 160);
+    const shadowed = rgbToLab(170, 156, 130);
+    assert.ok(deltaE(black, darkBlue) > deltaE(lit, shadowed));
+  });
+
+  it("keeps hues that wrap around close together in HSV", () => {
+    const distance = (a, b) => Math.hypot(...a.map((value, i) => value - b[i]));
+    const red = colorFeatures(255, 0, 4, "hsv");
+    const otherRed = colorFeatures(255, 4, 0, "hsv");
+    const green = colorFeatures(0, 255, 0, "hsv");
+    assert.ok(distance(red, otherRed) < distance(red, green) / 10);
+  });
+});
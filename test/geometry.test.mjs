@@ -0,0 +1,28 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { snapSegmentEnds, subtractSegments } from "../js/image-processing/_module.mjs";
+
+describe("subtractSegments", () => {
+  it("leaves out a segment that duplicates another within the tolerance", () => {
+    assert.deepEqual(subtractSegments([0, 0, 100, 0], [[100, 2, -1, 1]], 5), []);
+  });
+
+  it("keeps the parts that nothing runs along", () => {
+    assert.deepEqual(subtractSegments([0, 0, 100, 0], [[20, 1, 40, 1], [60, 0, 100, 0]], 5), [[0, 0, 20, 0], [40, 0, 60, 0]]);
+  });
+
+  it("ignores segments that cross it or run alongside it too far away", () => {
+    const segment = [0, 0, 100, 0];
+    assert.deepEqual(subtractSegments(segment, [[50, -50, 50, 50], [0, 10, 100, 10], [0, 0, 100, 40]], 5), [segment]);
+  });
+
+  it("drops slivers shorter than the tolerance", () => {
+    assert.deepEqual(subtractSegments([0, 0, 100, 0], [[3, 0, 100, 0]], 5), []);
+  });
+});
+
+describe("snapSegmentEnds", () => {
+  it("moves ends onto the nearest point within the tolerance", () => {
+    assert.deepEqual(snapSegmentEnds([1, 1, 50, 0], [[0, 0], [2, 2], [50, 20]], 5), [2, 2, 50, 0]);
+  });
+});
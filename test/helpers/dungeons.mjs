@@ -0,0 +1,71 @@
+import { createImage, seededRandom } from "../../js/image-processing/_module.mjs";
+
+export const COLORS = {
+  rock: [40, 36, 34],
+  shadedRock: [50, 45, 42],
+  floor: [205, 190, 160],
+  grid: [150, 140, 120],
+  water: [60, 110, 190],
+  darkFloor: [24, 34, 78],
+  stone: [120, 118, 112],
+};
+
+/**
+ * Draw a synthetic battle map: rectangular areas, in grid cells, painted over a background
+ * @param {Object} options
+ * @param {number} options.cols - width of the map, in cells
+ * @param {number} options.rows - height of the map, in cells
+ * @param {number} options.cellSize - size of a cell, in pixels
+ * @param {Array<Array<number>>} options.rooms - floor areas, as [x, y, width, height] in cells
+ * @param {Array<Object>} [options.features] - areas painted over the floor, as { rect: [x, y, width, height], color }
+ * @param {boolean} [options.gridLines=false] - whether to draw the grid over the floor
+ * @param {number} [options.wallThickness=0] - how thick, in pixels, to draw stone walls around the floor
+ * @param {number} [options.noise=0] - how far, per channel, pixels are randomly shifted from their color
+ * @param {number} [options.seed=1] - seed for the noise
+ * @returns {{ data: Uint8ClampedArray, width: number, height: number }}
+ */
+export function drawDungeon(options) {
+  const {
+    cols,
+    rows,
+    cellSize,
+    rooms,
+    features = [],
+    gridLines = false,
+    wallThickness = 0,
+    noise = 0,
+    seed = 1,
+  } = options;
+  const image = createImage(cols * cellSize, rows * cellSize);
+  const random = seededRandom(seed);
+  const cellColor = new Array(cols * rows).fill(COLORS.rock);
+  const paint = ([x, y, width, height], color) => {
+    for (let row = y; row < y + height; row++) {
+      for (let col = x; col < x + width; col++) cellColor[row * cols + col] = color;
+    }
+  };
+  for (const room of rooms) paint(room, COLORS.floor);
+  for (const { rect, color } of features) paint(rect, color);
+
+  const { data, width, height } = image;
+  const colorAt = (x, y) => cellColor[Math.floor(y / cellSize) * cols + Math.floor(x / cellSize)];
+  const nearFloor = (x, y) => {
+    for (let ny = Math.max(0, y - wallThickness); ny <= Math.min(height - 1, y + wallThickness); ny++) {
+      for (let nx = Math.max(0, x - wallThickness); nx <= Math.min(width - 1, x + wallThickness); nx++) {
+        if (colorAt(nx, ny) !== COLORS.rock) return true;
+      }
+    }
+    return false;
+  };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let color = colorAt(x, y);
+      if (wallThickness > 0 && color === COLORS.rock && nearFloor(x, y)) color = COLORS.stone;
+      if (gridLines && color !== COLORS.rock && (x % cellSize === 0 || y % cellSize === 0)) color = COLORS.grid;
+      const i = (y * width + x) * 4;
+      for (let c = 0; c < 3; c++) data[i + c] = color[c] + Math.round((random() * 2 - 1) * noise);
+      data[i + 3] = 255;
+    }
+  }
+  return image;
+}
@@ -0,0 +1,88 @@
+import { inflateSync } from "node:zlib";
+
+const SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+/**
+ * Decode a PNG file into an RGBA image buffer. Only what the fixtures need is supported: 8-bit grayscale, RGB and
+ * RGBA images, without interlacing.
+ * @param {Buffer} buffer - the contents of the file
+ * @returns {{ data: Uint8ClampedArray, width: number, height: number }}
+ */
+export function decodePNG(buffer) {
+  if (!SIGNATURE.every((byte, i) => buffer[i] === byte)) throw new Error("Not a PNG file");
+
+  let header = null;
+  const compressed = [];
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("ascii", offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += length + 12;
+    if (type === "IHDR") {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12],
+      };
+    } else if (type === "IDAT") {
+      compressed.push(chunk);
+    } else if (type === "IEND") {
+      break;
+    }
+  }
+
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = { 0: 1, 2: 3, 6: 4 }[colorType];
+  if (bitDepth !== 8 || !channels || interlace !== 0) {
+    throw new Error(`Unsupported PNG: bit depth ${bitDepth}, color type ${colorType}, interlace ${interlace}`);
+  }
+
+  const raw = inflateSync(Buffer.concat(compressed));
+  const stride = width * channels;
+  const pixels = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? pixels[row + x - channels] : 0;
+      const up = y > 0 ? pixels[row - stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? pixels[row - stride + x - channels] : 0;
+      let predictor;
+      switch (filter) {
+        case 0: predictor = 0; break;
+        case 1: predictor = left; break;
+        case 2: predictor = up; break;
+        case 3: predictor = (left + up) >> 1; break;
+        case 4: predictor = paeth(left, up, upLeft); break;
+        default: throw new Error(`Unknown PNG filter ${filter}`);
+      }
+      pixels[row + x] = (line[x] + predictor) & 0xFF;
+    }
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const p = i * channels;
+    if (channels === 1) {
+      data.fill(pixels[p], i * 4, i * 4 + 3);
+    } else {
+      data[i * 4] = pixels[p];
+      data[i * 4 + 1] = pixels[p + 1];
+      data[i * 4 + 2] = pixels[p + 2];
+    }
+    data[i * 4 + 3] = channels === 4 ? pixels[p + 3] : 255;
+  }
+  return { data, width, height };
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
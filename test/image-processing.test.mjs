@@ -0,0 +1,174 @@
+import { describe, it, before, mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+  applyMedianFilter,
+  createImage,
+  identifyDoors,
+  kMeansImageSegmentation,
+  measureWallThickness,
+  separateInside,
+} from "../js/image-processing/_module.mjs";
+import { drawDungeon, COLORS } from "./helpers/dungeons.mjs";
+
+function pixel({ data, width }, x, y) {
+  const i = (y * width + x) * 4;
+  return [data[i], data[i + 1], data[i + 2]];
+}
+
+describe("applyMedianFilter", () => {
+  it("removes specks and keeps straight edges", async () => {
+    const image = createImage(20, 20);
+    for (let i = 0; i < 400; i++) {
+      const value = i % 20 >= 10 ? 255 : 0;
+      image.data.fill(value, i * 4, i * 4 + 3);
+      image.data[i * 4 + 3] = 255;
+    }
+    // a white speck on the black half, and a black one on the white half
+    image.data.fill(255, (5 * 20 + 4) * 4, (5 * 20 + 4) * 4 + 3);
+    image.data.fill(0, (12 * 20 + 15) * 4, (12 * 20 + 15) * 4 + 3);
+
+    await applyMedianFilter(image, 3);
+    assert.deepEqual(pixel(image, 4, 5), [0, 0, 0]);
+    assert.deepEqual(pixel(image, 15, 12), [255, 255, 255]);
+    for (let y = 0; y < 20; y++) {
+      assert.deepEqual(pixel(image, 9, y), [0, 0, 0]);
+      assert.deepEqual(pixel(image, 10, y), [255, 255, 255]);
+    }
+  });
+
+  it("keeps the colors of the pixels it picks", async () => {
+    const image = drawDungeon({ cols: 4, rows: 4, cellSize: 8, rooms: [[1, 1, 2, 2]], noise: 10 });
+    const colors = new Set();
+    for (let i = 0; i < image.data.length; i += 4) colors.add(image.data.slice(i, i + 3).join());
+    await applyMedianFilter(image, 5);
+    for (let i = 0; i < image.data.length; i += 4) assert.ok(colors.has(image.data.slice(i, i + 3).join()));
+  });
+});
+
+describe("kMeansImageSegmentation", () => {
+  before(() => {
+    mock.method(console, "log", () => {});
+  });
+
+  it("finds the colors of a large image from samples of it", () => {
+    const image = drawDungeon({
+      cols: 60,
+      rows: 60,
+      cellSize: 7,
+      rooms: [[5, 5, 40, 30]],
+      features: [{ rect: [10, 10, 8, 8], color: COLORS.water }],
+      noise: 4,
+    });
+    const palette = kMeansImageSegmentation(image, { k: 3, seed: 7 });
+    for (const color of [COLORS.rock, COLORS.floor, COLORS.water]) {
+      assert.ok(palette.some((c) => c.every((value, i) => Math.abs(value - color[i]) <= 2)), `${color} not in ${palette}`);
+    }
+    assert.deepEqual(pixel(image, 100, 100), palette.find((c) => Math.abs(c[0] - COLORS.water[0]) <= 2));
+  });
+});
+
+describe("measureWallThickness", () => {
+  // 1 for each pixel of the given color
+  const maskOf = ({ data, width, height }, color) => Uint8Array.from({ length: width * height },
+    (_, i) => color.every((c, channel) => data[i * 4 + channel] === c) ? 1 : 0);
+
+  it("measures the stone around the floor", () => {
+    const image = drawDungeon({ cols: 8, rows: 8, cellSize: 16, rooms: [[2, 2, 4, 4]], wallThickness: 6 });
+    const floor = maskOf(image, COLORS.floor);
+    const stone = maskOf(image, COLORS.stone);
+    const inside = floor.map((f, i) => f | stone[i]);
+    assert.equal(measureWallThickness(floor, inside, image, { maxThickness: 8 }), 6);
+    assert.equal(measureWallThickness(floor, inside, image, { maxThickness: 4 }), 0);
+  });
+
+  it("finds nothing to measure when the floor meets the void", () => {
+    const image = drawDungeon({ cols: 8, rows: 8, cellSize: 16, rooms: [[2, 2, 4, 4]] });
+    const floor = maskOf(image, COLORS.floor);
+    assert.equal(measureWallThickness(floor, floor, image, { maxThickness: 8 }), 0);
+  });
+});
+
+describe("identifyDoors", () => {
+  // a wall along x = 32 from y = 0 to 64, with a gap from 16 to 32
+  const walls = [[32, 0, 32, 16], [32, 32, 32, 48], [32, 48, 32, 64]];
+  // white where x is in [from, to)
+  const maskOf = (from, to) => {
+    const mask = createImage(64, 64);
+    for (let i = 0; i < 64 * 64; i++) {
+      const value = i % 64 >= from && i % 64 < to ? 255 : 0;
+      mask.data.fill(value, i * 4, i * 4 + 3);
+      mask.data[i * 4 + 3] = 255;
+    }
+    return mask;
+  };
+
+  it("makes a door of a gap with the inside on both sides", () => {
+    const { doors } = identifyDoors(createImage(64, 64), walls, 16, { insideMask: maskOf(0, 64) });
+    assert.deepEqual(doors, [[32, 16, 32, 32]]);
+  });
+
+  it("leaves a gap with the outside on one side alone", () => {
+    const { walls: remaining, doors } = identifyDoors(createImage(64, 64), walls, 16, { insideMask: maskOf(32, 64) });
+    assert.deepEqual(doors, []);
+    assert.equal(remaining.length, walls.length);
+  });
+
+  // floor with a strip of wall art 6 pixels wide down x = 32, painted in the given color from y = 16 to 32
+  const artAcross = (color) => {
+    const image = createImage(64, 64);
+    for (let y = 0; y < 64; y++) {
+      for (let x = 0; x < 64; x++) {
+        const art = x >= 29 && x < 35;
+        image.data.set([...(art ? (y >= 16 && y < 32 ? color : COLORS.rock) : COLORS.floor), 255], (y * 64 + x) * 4);
+      }
+    }
+    return image;
+  };
+  const solid = [...walls, [32, 16, 32, 32]];
+
+  it("makes a door of art across an opening that differs from the wall and the floor", () => {
+    const { walls: remaining, doors } = identifyDoors(artAcross([150, 70, 30]), solid, 16, { insideMask: maskOf(0, 64) });
+    assert.deepEqual(doors, [[32, 16, 32, 32]]);
+    assert.equal(remaining.length, walls.length);
+  });
+
+  it("leaves art in the color of the wall alone", () => {
+    const { walls: remaining, doors } = identifyDoors(artAcross(COLORS.rock), solid, 16, { insideMask: maskOf(0, 64) });
+    assert.deepEqual(doors, []);
+    assert.equal(remaining.length, solid.length);
+  });
+});
+
+describe("separateInside", () => {
+  // the border is the outside color; the middle has a column each of three colors
+  const image = (middle) => {
+    const result = createImage(9, 5);
+    for (let y = 0; y < 5; y++) {
+      for (let x = 0; x < 9; x++) {
+        const border = x === 0 || y === 0 || x === 8 || y === 4;
+        const color = border ? COLORS.rock : middle[(x - 1) % middle.length];
+        result.data.set([...color, 255], (y * 9 + x) * 4);
+      }
+    }
+    return result;
+  };
+  const nearRock = COLORS.rock.map((c) => c + 4);
+
+  it("only takes exactly the border color as outside with no threshold", async () => {
+    const result = await separateInside(image([COLORS.rock, nearRock, COLORS.floor]), { colorThreshold: 0 });
+    assert.deepEqual([1, 2, 3].map((x) => pixel(result, x, 2)[0]), [0, 255, 255]);
+  });
+
+  it("takes colors within the threshold, as a ΔE, as outside too", async () => {
+    const result = await separateInside(image([COLORS.rock, nearRock, COLORS.floor]), { colorThreshold: 5 });
+    assert.deepEqual([1, 2, 3].map((x) => pixel(result, x, 2)[0]), [0, 0, 255]);
+  });
+
+  it("keeps the inside colors inside, however close they are", async () => {
+    const result = await separateInside(image([COLORS.rock, nearRock, COLORS.floor]), {
+      colorThreshold: 5,
+      inside: [nearRock],
+    });
+    assert.deepEqual([1, 2, 3].map((x) => pixel(result, x, 2)[0]), [0, 255, 255]);
+  });
+});
@@ -0,0 +1,354 @@
+import { describe, it, before, mock } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { analyseImage } from "../js/pipeline.mjs";
+import { copyImage } from "../js/image-processing/_module.mjs";
+import { HexLayout } from "../js/image-processing/hex.mjs";
+import { decodePNG } from "./helpers/png.mjs";
+import { drawDungeon, COLORS } from "./helpers/dungeons.mjs";
+
+// Set UPDATE_GOLDEN=1 to rewrite the golden files from the current output, after checking that the change is wanted
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === "1";
+
+const SEED = 12345;
+
+const CASES = [
+  {
+    name: "single-room",
+    image: () => drawDungeon({ cols: 10, rows: 8, cellSize: 16, rooms: [[2, 2, 6, 4]] }),
+    params: { cellSize: 16, k: 2 },
+  },
+  {
+    name: "rooms-and-corridor",
+    image: () => drawDungeon({
+      cols: 16,
+      rows: 10,
+      cellSize: 16,
+      rooms: [[1, 1, 5, 5], [10, 3, 5, 6], [6, 3, 4, 1]],
+      gridLines: true,
+      noise: 6,
+    }),
+    params: { cellSize: 16, k: 3 },
+  },
+  {
+    name: "rooms-and-corridor-canny",
+    image: () => drawDungeon({ cols: 16, rows: 10, cellSize: 16, rooms: [[1, 1, 5, 5], [10, 3, 5, 6], [6, 3, 4, 1]] }),
+    params: { cellSize: 16, k: 2, edgeAlgorithm: "canny" },
+  },
+  {
+    // a room whose walls sit halfway across grid cells, drawn on the half-cell lattice
+    name: "half-cells",
+    image: () => drawDungeon({ cols: 20, rows: 16, cellSize: 8, rooms: [[3, 3, 9, 7], [12, 5, 3, 1]] }),
+    params: { cellSize: 8, subCellScale: 2, k: 2 },
+  },
+  {
+    name: "trace",
+    image: () => drawDungeon({ cols: 10, rows: 8, cellSize: 16, rooms: [[2, 2, 6, 4], [4, 1, 2, 6]], noise: 4 }),
+    params: { cellSize: 16, k: 2, mode: "trace" },
+  },
+  {
+    name: "hex",
+    image: () => drawDungeon({ cols: 10, rows: 8, cellSize: 16, rooms: [[2, 2, 6, 4]] }),
+    params: { cellSize: 16, k: 2, hex: { size: 16, columns: false } },
+  },
+  {
+    name: "hex-even-rows",
+    image: () => drawDungeon({ cols: 10, rows: 8, cellSize: 16, rooms: [[2, 2, 6, 4]] }),
+    params: { cellSize: 16, k: 2, hex: { size: 16, columns: false, even: true } },
+  },
+  {
+    name: "hex-odd-columns",
+    image: () => drawDungeon({ cols: 10, rows: 8, cellSize: 16, rooms: [[2, 2, 6, 4]] }),
+    params: { cellSize: 16, k: 2, hex: { size: 16, columns: true } },
+  },
+  {
+    name: "hex-even-columns",
+    image: () => drawDungeon({ cols: 10, rows: 8, cellSize: 16, rooms: [[2, 2, 6, 4]] }),
+    params: { cellSize: 16, k: 2, hex: { size: 16, columns: true, even: true } },
+  },
+  {
+    name: "water",
+    image: () => drawDungeon({
+      cols: 12,
+      rows: 10,
+      cellSize: 16,
+      rooms: [[1, 1, 10, 8]],
+      features: [{ rect: [4, 3, 4, 3], color: COLORS.water }],
+    }),
+    params: { cellSize: 16, k: 3, clusterRoles: [{ color: COLORS.water, role: "water" }] },
+  },
+  {
+    // a lighter band of rock down the left, too little of the border to count as outside by itself
+    name: "shaded-rock",
+    image: () => drawDungeon({
+      cols: 12,
+      rows: 10,
+      cellSize: 16,
+      rooms: [[5, 2, 5, 6]],
+      features: [{ rect: [0, 0, 2, 10], color: COLORS.shadedRock }],
+    }),
+    params: { cellSize: 16, k: 3 },
+  },
+  {
+    name: "dark-floor-hsv",
+    image: () => drawDungeon({
+      cols: 12,
+      rows: 10,
+      cellSize: 16,
+      rooms: [[2, 2, 8, 6]],
+      features: [{ rect: [2, 2, 3, 6], color: COLORS.darkFloor }],
+      noise: 3,
+    }),
+    params: { cellSize: 16, k: 3, colorSpace: "hsv" },
+  },
+  {
+    name: "dark-floor-spatial",
+    image: () => drawDungeon({
+      cols: 12,
+      rows: 10,
+      cellSize: 16,
+      rooms: [[2, 2, 8, 6]],
+      features: [{ rect: [2, 2, 3, 6], color: COLORS.darkFloor }],
+      noise: 3,
+    }),
+    params: { cellSize: 16, k: 4, spatialWeight: 0.25 },
+  },
+  {
+    // stone walls half a grid cell thick, with the walls left wherever the inside ends
+    name: "thick-walls",
+    image: () => drawDungeon({ cols: 12, rows: 10, cellSize: 16, rooms: [[3, 3, 5, 3], [8, 4, 2, 1]], wallThickness: 8, noise: 3 }),
+    params: { cellSize: 4, subCellScale: 4, k: 3 },
+  },
+  {
+    // stone walls half a grid cell thick, with the walls placed down their middle
+    name: "thick-walls-center",
+    image: () => drawDungeon({ cols: 12, rows: 10, cellSize: 16, rooms: [[3, 3, 5, 3], [8, 4, 2, 1]], wallThickness: 8, noise: 3 }),
+    params: { cellSize: 4, subCellScale: 4, k: 3, mode: "trace", wallPlacement: "center" },
+  },
+  {
+    name: "fixture-cave-and-room",
+    image: () => decodePNG(readFileSync(new URL("fixtures/cave-and-room.png", import.meta.url))),
+    params: { cellSize: 16, k: 3 },
+  },
+  {
+    name: "fixture-cave-and-room-auto-tune",
+    image: () => decodePNG(readFileSync(new URL("fixtures/cave-and-room.png", import.meta.url))),
+    params: { cellSize: 16, autoTune: true },
+  },
+];
+
+/**
+ * The parts of a result compared against the golden files, in a stable order
+ */
+function summarize({ walls, doors, terrain }) {
+  const segments = (list) => list
+    .map((segment) => segment.map((n) => Math.round(n * 100) / 100))
+    .sort((a, b) => a.join(",").localeCompare(b.join(","), "en", { numeric: true }));
+  return {
+    walls: segments(walls),
+    doors: segments(doors),
+    terrain: Object.fromEntries(Object.entries(terrain).map(([role, list]) => [role, segments(list)])),
+  };
+}
+
+function assertMatchesGolden(name, result) {
+  const file = new URL(`golden/${name}.json`, import.meta.url);
+  const actual = summarize(result);
+  if (UPDATE_GOLDEN) {
+    writeFileSync(file, toJSON(actual));
+    return;
+  }
+  assert.ok(existsSync(file), `golden/${name}.json is missing; run the tests with UPDATE_GOLDEN=1 to create it`);
+  assert.deepEqual(actual, JSON.parse(readFileSync(file, "utf8")));
+}
+
+/**
+ * Pretty-print a summary with one segment per line, so that changes to the golden files are easy to review
+ */
+function toJSON(summary) {
+  const segments = (list, indent) => list.length === 0
+    ? "[]"
+    : `[\n${list.map((segment) => `${indent}  ${JSON.stringify(segment)}`).join(",\n")}\n${indent}]`;
+  const terrain = Object.entries(summary.terrain).map(([role, list]) => `    ${JSON.stringify(role)}: ${segments(list, "    ")}`);
+  return [
+    "{",
+    `  "walls": ${segments(summary.walls, "  ")},`,
+    `  "doors": ${segments(summary.doors, "  ")},`,
+    `  "terrain": ${terrain.length === 0 ? "{}" : `{\n${terrain.join(",\n")}\n  }`}`,
+    "}",
+    "",
+  ].join("\n");
+}
+
+function totalLength(segments) {
+  return segments.reduce((sum, [x1, y1, x2, y2]) => sum + Math.hypot(x2 - x1, y2 - y1), 0);
+}
+
+describe("analyseImage", () => {
+  before(() => {
+    // the image-processing functions log every step
+    mock.method(console, "log", () => {});
+  });
+
+  for (const { name, image, params } of CASES) {
+    it(`matches the golden walls for ${name}`, async () => {
+      const result = await analyseImage(image(), { seed: SEED, ...params });
+      assertMatchesGolden(name, result);
+    });
+  }
+
+  it("outlines a single room with walls along its border", async () => {
+    const { walls, doors } = await analyseImage(CASES[0].image(), { seed: SEED, ...CASES[0].params });
+    assert.equal(doors.length, 0);
+    assert.equal(totalLength(walls), 2 * (6 + 4) * 16);
+    for (const [x1, y1, x2, y2] of walls) {
+      assert.ok([x1, x2].every((x) => x >= 32 && x <= 128) && [y1, y2].every((y) => y >= 32 && y <= 96));
+    }
+  });
+
+  it("snaps walls to fractions of a cell", async () => {
+    const { walls } = await analyseImage(
+      drawDungeon({ cols: 20, rows: 16, cellSize: 8, rooms: [[3, 3, 9, 7]] }),
+      { seed: SEED, cellSize: 8, subCellScale: 2, k: 2 },
+    );
+    assert.equal(totalLength(walls), 2 * (9 + 7) * 8);
+    assert.ok(walls.flat().every((c) => c % 8 === 0));
+    assert.ok(walls.flat().some((c) => c % 16 !== 0));
+  });
+
+  it("places walls on the floor edge, centre line or outer edge of thick wall art", async () => {
+    const thick = CASES.find((c) => c.name === "thick-walls-center");
+    // the rooms span 48 to 160 across and 48 to 96 down, inside stone 8 pixels thick
+    const expected = { inner: [48, 160, 48, 96], center: [44, 164, 44, 100], outer: [40, 168, 40, 104] };
+    for (const mode of ["grid", "trace"]) {
+      for (const [wallPlacement, bounds] of Object.entries(expected)) {
+        const { walls } = await analyseImage(thick.image(), { seed: SEED, ...thick.params, mode, wallPlacement });
+        const xs = walls.flatMap(([x1, , x2]) => [x1, x2]);
+        const ys = walls.flatMap(([, y1, , y2]) => [y1, y2]);
+        assert.deepEqual([Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)], bounds, `${mode} ${wallPlacement}`);
+      }
+    }
+  });
+
+  it("puts every hex wall on the corners of its own layout", async () => {
+    const key = ([x, y]) => `${Math.round(x)},${Math.round(y)}`;
+    const results = new Map();
+    for (const { name, image, params } of CASES.filter((c) => c.params.hex)) {
+      const { walls } = await analyseImage(image(), { seed: SEED, ...params });
+      const layout = new HexLayout(params.hex);
+      const corners = new Set(layout.edges(160, 128).flatMap(([x1, y1, x2, y2]) => [key([x1, y1]), key([x2, y2])]));
+      assert.ok(walls.length > 0, name);
+      for (const [x1, y1, x2, y2] of walls) {
+        assert.ok(corners.has(key([x1, y1])) && corners.has(key([x2, y2])), `${name}: ${[x1, y1, x2, y2]}`);
+      }
+      results.set(name, JSON.stringify(summarize({ walls, doors: [], terrain: {} }).walls));
+    }
+    // the four layouts are different grids, so none of them should give the same walls as another
+    assert.equal(new Set(results.values()).size, 4);
+  });
+
+  it("takes shades of the outside color as outside", async () => {
+    const shaded = CASES.find((c) => c.name === "shaded-rock");
+    const { walls } = await analyseImage(shaded.image(), { seed: SEED, ...shaded.params });
+    assert.equal(totalLength(walls), 2 * (5 + 6) * 16);
+    const exact = await analyseImage(shaded.image(), { seed: SEED, ...shaded.params, colorThreshold: 0 });
+    assert.ok(exact.walls.some(([x1, , x2]) => x1 === 32 && x2 === 32));
+  });
+
+  it("leaves walls where the inside ends on thick wall art by default", async () => {
+    const thick = CASES.find((c) => c.name === "thick-walls");
+    const { walls } = await analyseImage(thick.image(), { seed: SEED, ...thick.params });
+    const placed = await analyseImage(thick.image(), { seed: SEED, ...thick.params, wallPlacement: "detected" });
+    assert.deepEqual(walls, placed.walls);
+    // the stone is far from the color of the void, so it is inside, and the walls go around its outer edge
+    const xs = walls.flatMap(([x1, , x2]) => [x1, x2]);
+    const ys = walls.flatMap(([, y1, , y2]) => [y1, y2]);
+    assert.deepEqual([Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)], [40, 168, 40, 104]);
+  });
+
+  it("gives water its own walls", async () => {
+    const water = CASES.find((c) => c.name === "water");
+    const { terrain } = await analyseImage(water.image(), { seed: SEED, ...water.params });
+    assert.equal(totalLength(terrain.water), 2 * (4 + 3) * 16);
+  });
+
+  it("finds no doors in the cave and room fixture", async () => {
+    for (const name of ["fixture-cave-and-room", "fixture-cave-and-room-auto-tune"]) {
+      const { image, params } = CASES.find((c) => c.name === name);
+      const { doors } = await analyseImage(image(), { seed: SEED, ...params });
+      assert.deepEqual(doors, [], name);
+    }
+  });
+
+  it("analyses a 100 by 100 cell map in seconds", async () => {
+    const rooms = [];
+    for (let y = 2; y < 92; y += 10) {
+      for (let x = 2; x < 92; x += 10) rooms.push([x, y, 7, 6], [x + 7, y + 2, 3, 1]);
+    }
+    const image = drawDungeon({ cols: 100, rows: 100, cellSize: 7, rooms, gridLines: true, noise: 6 });
+    const start = performance.now();
+    const { walls } = await analyseImage(image, { seed: SEED, cellSize: 7, k: 3 });
+    const seconds = (performance.now() - start) / 1000;
+    assert.ok(walls.length > 0);
+    // generous, so that slow machines pass, but still seconds rather than minutes
+    assert.ok(seconds < 20, `took ${seconds.toFixed(1)}s`);
+  });
+
+  it("leaves the input image as it was", async () => {
+    const input = CASES[1].image();
+    const before = copyImage(input);
+    await analyseImage(input, { seed: SEED, ...CASES[1].params });
+    assert.deepEqual(input.data, before.data);
+  });
+
+  it("gives the same walls for the same seed", async () => {
+    const { image, params } = CASES[1];
+    const first = await analyseImage(image(), { seed: SEED, ...params });
+    const second = await analyseImage(image(), { seed: SEED, ...params });
+    assert.deepEqual(summarize(first), summarize(second));
+  });
+
+  describe("with registered stages", () => {
+    const { image, params } = CASES[0];
+
+    it("runs stages before and after a built-in one, with what the analysis has found so far", async () => {
+      const seen = [];
+      const { walls } = await analyseImage(image(), {
+        seed: SEED,
+        ...params,
+        stages: [
+          { id: "count-before", before: "identify", run: (state) => seen.push(["before", state.walls.length]) },
+          { id: "count-after", after: "identify", run: (state) => seen.push(["after", state.walls.length]) },
+          // keep only the top wall of the room
+          { id: "top-only", after: "doors", run: (state) => { state.walls = state.walls.filter(([, y1, , y2]) => y1 === 32 && y2 === 32); } },
+        ],
+      });
+      assert.deepEqual(seen, [["before", 0], ["after", 20]]);
+      assert.equal(totalLength(walls), 6 * 16);
+    });
+
+    it("runs a stage instead of a built-in one", async () => {
+      const stages = [];
+      const { walls } = await analyseImage(image(), {
+        seed: SEED,
+        ...params,
+        stages: [{ id: "no-edges", replace: "identify", run: (state) => { state.walls = [[0, 0, 16, 0]]; } }],
+      }, ({ stage }) => stages.push(stage));
+      assert.deepEqual(walls, [[0, 0, 16, 0]]);
+      assert.ok(stages.includes("identify"));
+    });
+
+    it("changes the working image for the stages after it", async () => {
+      // a stage that fills the whole image in leaves nothing to find the edges of
+      const fill = (state) => state.working.data.fill(255);
+      const { walls } = await analyseImage(image(), { seed: SEED, ...params, stages: [{ id: "fill", after: "pixelize", run: fill }] });
+      assert.deepEqual(walls, []);
+    });
+
+    it("refuses stages that don't name one stage of the analysis", async () => {
+      for (const stage of [{ id: "nowhere" }, { id: "load", after: "load" }, { id: "both", before: "edges", after: "edges" }]) {
+        await assert.rejects(analyseImage(image(), { seed: SEED, ...params, stages: [{ ...stage, run: () => {} }] }), /before, after or instead of/);
+      }
+    });
+  });
+});
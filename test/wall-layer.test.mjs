@@ -0,0 +1,44 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { analysisScale } from "../js/wall-layer.mjs";
+
+describe("analysisScale", () => {
+  // [grid size, subCellScale, cellSize, resolutionScale]
+  const EXPECTED = [
+    [100, 1, 10, 10],
+    [100, 2, 10, 5],
+    [100, 3, 7, 100 / 3 / 7],
+    [100, 4, 7, 25 / 7],
+    [140, 1, 7, 20],
+    [140, 2, 7, 10],
+    [140, 3, 7, 140 / 3 / 7],
+    [140, 4, 7, 5],
+    [50, 1, 10, 5],
+    [50, 2, 7, 25 / 7],
+    [50, 3, 7, 50 / 3 / 7],
+    [50, 4, 7, 12.5 / 7],
+  ];
+
+  for (const [grid, subCellScale, cellSize, resolutionScale] of EXPECTED) {
+    it(`fits a grid of ${grid} at 1/${subCellScale} of a cell`, () => {
+      const scale = analysisScale(grid / subCellScale);
+      assert.equal(scale.cellSize, cellSize);
+      assert.ok(Math.abs(scale.resolutionScale - resolutionScale) < 1e-9);
+      // a lattice cell is always a whole number of analysed pixels, covering exactly a lattice cell of the scene
+      assert.ok(Number.isInteger(scale.cellSize));
+      assert.ok(Math.abs(scale.cellSize * scale.resolutionScale - grid / subCellScale) < 1e-9);
+    });
+  }
+
+  it("fits the cell size to a resolution scale it is given", () => {
+    assert.deepEqual(analysisScale(100, 4), { cellSize: 25, resolutionScale: 4 });
+    // 100 / 3 rounds to 33 pixels, so each is a little more than 3 scene pixels
+    assert.deepEqual(analysisScale(100, 3), { cellSize: 33, resolutionScale: 100 / 33 });
+    // never analysed at more than one pixel per scene pixel
+    assert.deepEqual(analysisScale(100, 0.5), { cellSize: 100, resolutionScale: 1 });
+  });
+
+  it("keeps lattice cells smaller than the target size at one pixel per scene pixel", () => {
+    assert.deepEqual(analysisScale(5), { cellSize: 5, resolutionScale: 1 });
+  });
+});